@@ -1,7 +1,27 @@
-import { ref, reactive } from 'vue'
+import { ref, shallowRef, reactive } from 'vue'
+import { parseGpx } from '../utils/parsers/gpx.js'
+import { parseKml } from '../utils/parsers/kml.js'
+import { openZipEntryStream } from '../utils/zip.js'
+import { listTakeoutLocationEntries } from '../utils/takeout.js'
+import { mergeLocationSources } from '../utils/mergeLocations.js'
+
+export const SUPPORTED_EXTENSIONS = ['json', 'geojson', 'csv', 'kml', 'gpx']
+
+const WORKER_FORMATS = ['json', 'geojson', 'csv']
+
+export class ParseCancelledError extends Error {
+  constructor(fileName) {
+    super(`Parsing of ${fileName} was cancelled`)
+    this.name = 'ParseCancelledError'
+  }
+}
 
 export function useLocationData() {
-  const locationData = ref([])
+  const locationData = shallowRef([])
+  const segmentedTrips = shallowRef([])
+  const tripCoverage = shallowRef([])
+  const sources = shallowRef([])
+  const mergeReport = ref(null)
   const isLoading = ref(false)
   const error = ref(null)
   const stats = reactive({
@@ -9,138 +29,196 @@ export function useLocationData() {
     dateRange: null,
     averageAccuracy: 0
   })
+  const parseProgress = reactive({
+    fileName: null,
+    bytesRead: 0,
+    totalBytes: 0,
+    pointsParsed: 0
+  })
+
+  let activeParse = null
+
+  // Pass merge: false when parsing several files and call mergeSources once at the end; merging is a full pass
+  // over every source and runs on the main thread.
+  const parseLocationFile = async (file, { entry = null, csvMapping = null, merge = true } = {}) => {
+    const fileName = entry ? `${file.name}/${entry.name}` : file.name
 
-  const parseLocationFile = async (file) => {
     isLoading.value = true
     error.value = null
+    resetProgress(fileName, entry ? entry.uncompressedSize : file.size)
 
     try {
-      const text = await file.text()
-      let data = []
-
-      if (file.name.endsWith('.json')) {
-        data = parseJsonLocationData(text)
-      } else if (file.name.endsWith('.csv')) {
-        data = parseCsvLocationData(text)
-      } else if (file.name.endsWith('.kml')) {
-        data = parseKmlLocationData(text)
+      const extension = fileName.split('.').pop().toLowerCase()
+      if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw new Error(`Unsupported file type ".${extension}". Supported types: ${SUPPORTED_EXTENSIONS.join(', ')}`)
       }
 
-      locationData.value = [...locationData.value, ...data]
-      updateStats()
+      const { points, trips } = WORKER_FORMATS.includes(extension)
+        ? await parseInWorker(file, { entry, csvMapping, format: extension }, fileName)
+        : await parseOnMainThread(file, { entry, format: extension }, fileName)
+
+      sources.value = [
+        ...sources.value.filter(source => source.name !== fileName),
+        { name: fileName, points, trips }
+      ]
+      if (merge) {
+        mergeSources()
+      }
       
-      return data
+      return points
     } catch (err) {
-      error.value = `Failed to parse ${file.name}: ${err.message}`
+      if (!(err instanceof ParseCancelledError)) {
+        error.value = `Failed to parse ${fileName}: ${err.message}`
+      }
       throw err
     } finally {
+      activeParse = null
       isLoading.value = false
     }
   }
 
-  const parseJsonLocationData = (jsonText) => {
-    const data = JSON.parse(jsonText)
-    
-    if (data.locations) {
-      return data.locations.map(location => ({
-        timestamp: new Date(parseInt(location.timestampMs)),
-        latitude: location.latitudeE7 / 10000000,
-        longitude: location.longitudeE7 / 10000000,
-        accuracy: location.accuracy || null
-      }))
+  // KML and GPX need DOMParser, which workers do not have, so they are read here in chunks that can be cancelled.
+  const parseOnMainThread = async (file, { entry, format }, fileName) => {
+    let cancelled = false
+    activeParse = {
+      cancel: () => {
+        cancelled = true
+      }
     }
 
-    if (Array.isArray(data)) {
-      return data.map(point => ({
-        timestamp: new Date(point.timestamp),
-        latitude: point.latitude || point.lat,
-        longitude: point.longitude || point.lng,
-        accuracy: point.accuracy || null
-      }))
+    const stream = entry ? await openZipEntryStream(file, entry) : file.stream()
+    const reader = stream.getReader()
+    const decoder = new TextDecoder()
+    let text = ''
+
+    for (;;) {
+      const { done, value } = await reader.read()
+      if (cancelled) {
+        await reader.cancel()
+        throw new ParseCancelledError(fileName)
+      }
+      if (done) break
+      text += decoder.decode(value, { stream: true })
+      parseProgress.bytesRead += value.length
     }
+    text += decoder.decode()
 
-    throw new Error('Unrecognized JSON format')
-  }
+    // DOMParser runs in one synchronous call, so a cancel made meanwhile is honoured when it returns.
+    const points = format === 'kml' ? parseKml(text) : parseGpx(text)
+    if (cancelled) throw new ParseCancelledError(fileName)
 
-  const parseCsvLocationData = (csvText) => {
-    const lines = csvText.split('\n')
-    const headers = lines[0].split(',').map(h => h.trim().toLowerCase())
-    
-    const latIndex = headers.findIndex(h => h.includes('lat'))
-    const lngIndex = headers.findIndex(h => h.includes('lng') || h.includes('lon'))
-    const timeIndex = headers.findIndex(h => h.includes('time') || h.includes('date'))
-    const accuracyIndex = headers.findIndex(h => h.includes('accuracy'))
-
-    if (latIndex === -1 || lngIndex === -1) {
-      throw new Error('CSV must contain latitude and longitude columns')
-    }
+    parseProgress.bytesRead = parseProgress.totalBytes
+    parseProgress.pointsParsed = points.length
 
-    return lines.slice(1)
-      .filter(line => line.trim())
-      .map(line => {
-        const values = line.split(',')
-        return {
-          timestamp: timeIndex !== -1 ? new Date(values[timeIndex]) : new Date(),
-          latitude: parseFloat(values[latIndex]),
-          longitude: parseFloat(values[lngIndex]),
-          accuracy: accuracyIndex !== -1 ? parseFloat(values[accuracyIndex]) : null
-        }
-      })
-      .filter(point => !isNaN(point.latitude) && !isNaN(point.longitude))
+    return { points, trips: [] }
   }
 
-  const parseKmlLocationData = (kmlText) => {
-    const parser = new DOMParser()
-    const xmlDoc = parser.parseFromString(kmlText, 'text/xml')
-    const coordinates = xmlDoc.getElementsByTagName('coordinates')
-    
-    const points = []
-    for (let coord of coordinates) {
-      const coordText = coord.textContent.trim()
-      const coordLines = coordText.split('\n').filter(line => line.trim())
-      
-      for (let line of coordLines) {
-        const parts = line.trim().split(',')
-        if (parts.length >= 2) {
-          points.push({
-            timestamp: new Date(),
-            latitude: parseFloat(parts[1]),
-            longitude: parseFloat(parts[0]),
-            accuracy: null
-          })
+  const parseInWorker = (file, options, fileName) => {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(new URL('../workers/locationParser.worker.js', import.meta.url), { type: 'module' })
+      const points = []
+      const trips = []
+
+      const finish = (callback) => {
+        worker.terminate()
+        callback()
+      }
+
+      activeParse = {
+        cancel: () => finish(() => reject(new ParseCancelledError(fileName)))
+      }
+
+      worker.onmessage = ({ data: message }) => {
+        switch (message.type) {
+          case 'batch':
+            // Spreading a large batch into push() overflows the call stack.
+            for (let point of message.points) points.push(point)
+            for (let trip of message.trips) trips.push(trip)
+            break
+          case 'progress':
+            parseProgress.bytesRead = message.bytesRead
+            parseProgress.totalBytes = message.totalBytes
+            parseProgress.pointsParsed = message.pointsParsed
+            break
+          case 'done':
+            finish(() => resolve({ points, trips }))
+            break
+          case 'error':
+            finish(() => reject(new Error(message.message)))
+            break
         }
       }
+
+      worker.onerror = (event) => {
+        finish(() => reject(new Error(event.message || 'Location parser worker failed')))
+      }
+
+      worker.postMessage({ file, ...options })
+    })
+  }
+
+  const cancelParsing = () => {
+    if (activeParse) {
+      activeParse.cancel()
     }
+  }
 
-    if (points.length === 0) {
-      throw new Error('No coordinate data found in KML file')
+  const listTakeoutEntries = async (zipFile) => {
+    try {
+      return await listTakeoutLocationEntries(zipFile)
+    } catch (err) {
+      error.value = `Failed to read ${zipFile.name}: ${err.message}`
+      throw err
     }
+  }
+
+  const resetProgress = (fileName, totalBytes) => {
+    parseProgress.fileName = fileName
+    parseProgress.bytesRead = 0
+    parseProgress.totalBytes = totalBytes
+    parseProgress.pointsParsed = 0
+  }
+
+  const mergeSources = () => {
+    const merged = mergeLocationSources(sources.value)
 
-    return points
+    locationData.value = merged.points
+    segmentedTrips.value = merged.trips
+    tripCoverage.value = merged.coverage
+    mergeReport.value = merged.report
+    updateStats()
   }
 
   const updateStats = () => {
     if (locationData.value.length === 0) return
 
     stats.totalPoints = locationData.value.length
-    
-    const timestamps = locationData.value.map(p => p.timestamp).sort()
-    stats.dateRange = {
-      start: timestamps[0],
-      end: timestamps[timestamps.length - 1]
+
+    let start = null
+    let end = null
+    let accuracySum = 0
+    let accuracyCount = 0
+
+    for (let point of locationData.value) {
+      if (!start || point.timestamp < start) start = point.timestamp
+      if (!end || point.timestamp > end) end = point.timestamp
+
+      if (point.accuracy !== null && !isNaN(point.accuracy)) {
+        accuracySum += point.accuracy
+        accuracyCount++
+      }
     }
 
-    const accuracyValues = locationData.value
-      .map(p => p.accuracy)
-      .filter(a => a !== null && !isNaN(a))
-    
-    stats.averageAccuracy = accuracyValues.length > 0 
-      ? accuracyValues.reduce((sum, acc) => sum + acc, 0) / accuracyValues.length
-      : 0
+    stats.dateRange = { start, end }
+    stats.averageAccuracy = accuracyCount > 0 ? accuracySum / accuracyCount : 0
   }
 
   const clearLocationData = () => {
     locationData.value = []
+    segmentedTrips.value = []
+    tripCoverage.value = []
+    sources.value = []
+    mergeReport.value = null
     stats.totalPoints = 0
     stats.dateRange = null
     stats.averageAccuracy = 0
@@ -149,10 +227,17 @@ export function useLocationData() {
 
   return {
     locationData,
+    segmentedTrips,
+    tripCoverage,
+    mergeReport,
     isLoading,
     error,
     stats,
+    parseProgress,
     parseLocationFile,
+    mergeSources,
+    listTakeoutEntries,
+    cancelParsing,
     clearLocationData
   }
-}
\ No newline at end of file
+}
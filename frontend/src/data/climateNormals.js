@@ -0,0 +1,75 @@
+// Approximate 1991-2020 monthly mean temperature normals (°F, January first) for
+// reference stations. Locations far from every station fall back to a latitude model.
+export const CLIMATE_STATIONS = [
+  { name: 'Anchorage, AK', latitude: 61.17, longitude: -150.03, normalsF: [17.8, 20.0, 25.4, 36.6, 47.3, 55.4, 58.7, 56.4, 48.7, 35.4, 22.7, 18.5] },
+  { name: 'Fairbanks, AK', latitude: 64.82, longitude: -147.86, normalsF: [-7.9, -2.5, 10.6, 32.0, 49.4, 60.8, 62.9, 57.9, 45.6, 25.3, 6.1, -3.7] },
+  { name: 'Albany, NY', latitude: 42.75, longitude: -73.80, normalsF: [23.2, 26.2, 35.1, 47.7, 58.6, 67.5, 72.4, 70.8, 62.8, 50.6, 39.5, 28.9] },
+  { name: 'Albuquerque, NM', latitude: 35.04, longitude: -106.61, normalsF: [36.6, 41.4, 48.5, 56.1, 65.5, 75.3, 78.6, 76.3, 69.5, 57.2, 44.9, 36.1] },
+  { name: 'Atlanta, GA', latitude: 33.64, longitude: -84.43, normalsF: [44.8, 48.7, 55.5, 62.6, 70.5, 77.4, 80.2, 79.6, 74.4, 64.3, 53.6, 46.8] },
+  { name: 'Billings, MT', latitude: 45.81, longitude: -108.54, normalsF: [27.5, 29.5, 38.4, 45.9, 55.6, 65.0, 73.9, 72.3, 61.7, 48.1, 36.0, 27.9] },
+  { name: 'Bismarck, ND', latitude: 46.77, longitude: -100.75, normalsF: [12.6, 17.3, 29.6, 43.0, 55.0, 64.8, 70.9, 69.4, 58.9, 45.2, 29.7, 16.9] },
+  { name: 'Boise, ID', latitude: 43.57, longitude: -116.22, normalsF: [31.9, 37.1, 44.2, 50.6, 59.1, 67.8, 77.3, 76.1, 65.3, 52.4, 39.4, 31.1] },
+  { name: 'Boston, MA', latitude: 42.36, longitude: -71.01, normalsF: [29.9, 31.8, 38.3, 48.6, 58.4, 68.0, 74.1, 72.7, 65.6, 54.8, 44.7, 35.7] },
+  { name: 'Buffalo, NY', latitude: 42.94, longitude: -78.74, normalsF: [25.8, 26.6, 34.3, 46.1, 57.6, 66.9, 71.6, 70.1, 63.3, 51.9, 41.0, 31.1] },
+  { name: 'Burlington, VT', latitude: 44.47, longitude: -73.15, normalsF: [19.6, 21.6, 31.6, 44.7, 57.0, 66.3, 71.3, 69.5, 61.2, 48.6, 37.6, 26.6] },
+  { name: 'Charlotte, NC', latitude: 35.21, longitude: -80.94, normalsF: [42.0, 45.3, 52.4, 61.0, 69.1, 76.6, 80.1, 78.7, 72.6, 61.9, 51.2, 44.4] },
+  { name: 'Chicago, IL', latitude: 41.98, longitude: -87.90, normalsF: [25.2, 28.8, 39.0, 49.7, 60.6, 70.6, 75.4, 73.8, 66.3, 54.0, 41.3, 30.5] },
+  { name: 'Cleveland, OH', latitude: 41.41, longitude: -81.85, normalsF: [28.5, 30.5, 38.8, 50.2, 61.0, 70.5, 74.5, 72.9, 66.1, 54.5, 43.5, 33.4] },
+  { name: 'Columbus, OH', latitude: 39.99, longitude: -82.88, normalsF: [30.0, 33.3, 42.1, 53.5, 63.7, 72.3, 76.0, 74.7, 67.8, 56.0, 44.3, 34.6] },
+  { name: 'Dallas, TX', latitude: 32.90, longitude: -97.04, normalsF: [47.0, 51.2, 59.0, 66.3, 74.6, 82.4, 86.4, 86.2, 79.1, 68.5, 56.9, 48.7] },
+  { name: 'Denver, CO', latitude: 39.85, longitude: -104.66, normalsF: [31.7, 32.7, 41.0, 47.2, 57.0, 67.9, 74.2, 72.3, 63.8, 50.9, 39.5, 31.3] },
+  { name: 'Des Moines, IA', latitude: 41.53, longitude: -93.65, normalsF: [22.9, 27.5, 39.6, 51.3, 62.5, 72.5, 76.6, 74.8, 66.4, 53.8, 39.9, 27.8] },
+  { name: 'Detroit, MI', latitude: 42.23, longitude: -83.33, normalsF: [25.6, 27.8, 37.2, 48.6, 60.2, 70.1, 74.1, 72.5, 64.9, 52.8, 41.4, 30.9] },
+  { name: 'Duluth, MN', latitude: 46.84, longitude: -92.19, normalsF: [10.0, 14.1, 25.6, 38.6, 50.4, 59.6, 66.0, 64.8, 56.2, 43.4, 29.1, 15.6] },
+  { name: 'Fargo, ND', latitude: 46.93, longitude: -96.81, normalsF: [7.5, 12.2, 25.5, 42.3, 55.8, 65.9, 70.4, 68.9, 59.2, 45.5, 28.9, 13.4] },
+  { name: 'Honolulu, HI', latitude: 21.32, longitude: -157.92, normalsF: [73.5, 73.2, 74.4, 75.8, 77.6, 79.7, 80.9, 81.6, 81.4, 80.1, 77.8, 75.2] },
+  { name: 'Houston, TX', latitude: 29.98, longitude: -95.36, normalsF: [54.3, 58.1, 64.5, 70.5, 77.6, 82.8, 84.6, 84.8, 80.3, 72.4, 62.4, 55.6] },
+  { name: 'Indianapolis, IN', latitude: 39.72, longitude: -86.29, normalsF: [28.8, 32.8, 42.3, 53.6, 63.6, 72.5, 75.8, 74.6, 67.6, 55.8, 43.6, 33.3] },
+  { name: 'Jacksonville, FL', latitude: 30.49, longitude: -81.69, normalsF: [54.1, 57.3, 62.3, 67.9, 74.3, 79.6, 82.2, 81.5, 78.4, 70.9, 61.9, 56.3] },
+  { name: 'Kansas City, MO', latitude: 39.30, longitude: -94.71, normalsF: [29.0, 33.7, 43.8, 54.3, 64.5, 73.9, 78.5, 77.1, 68.5, 56.4, 43.6, 32.7] },
+  { name: 'Las Vegas, NV', latitude: 36.07, longitude: -115.16, normalsF: [49.5, 53.9, 60.8, 67.9, 77.6, 87.6, 93.2, 91.4, 83.2, 70.1, 57.2, 48.8] },
+  { name: 'Los Angeles, CA', latitude: 34.05, longitude: -118.24, normalsF: [58.7, 59.6, 61.4, 63.4, 66.4, 69.6, 73.7, 74.6, 73.6, 69.6, 63.4, 58.4] },
+  { name: 'Marquette, MI', latitude: 46.53, longitude: -87.55, normalsF: [14.8, 16.6, 25.0, 37.0, 49.6, 59.0, 64.7, 63.5, 55.4, 43.1, 30.5, 19.8] },
+  { name: 'Miami, FL', latitude: 25.79, longitude: -80.32, normalsF: [68.8, 70.6, 72.8, 76.0, 79.6, 82.6, 84.0, 84.1, 83.0, 80.0, 75.2, 71.0] },
+  { name: 'Milwaukee, WI', latitude: 42.95, longitude: -87.90, normalsF: [23.9, 27.0, 35.9, 45.2, 55.6, 65.6, 71.9, 70.8, 63.4, 51.1, 39.1, 28.4] },
+  { name: 'Minneapolis, MN', latitude: 44.88, longitude: -93.23, normalsF: [15.6, 20.0, 32.8, 46.6, 58.9, 68.5, 73.2, 70.6, 61.8, 48.6, 33.8, 20.8] },
+  { name: 'Nashville, TN', latitude: 36.12, longitude: -86.68, normalsF: [39.3, 43.5, 51.5, 60.6, 69.2, 77.1, 80.4, 79.8, 73.6, 62.3, 50.6, 42.5] },
+  { name: 'New Orleans, LA', latitude: 29.99, longitude: -90.25, normalsF: [53.4, 56.8, 63.0, 68.6, 76.1, 81.5, 83.2, 83.1, 79.6, 70.8, 61.2, 55.3] },
+  { name: 'New York, NY', latitude: 40.78, longitude: -73.97, normalsF: [33.7, 35.9, 42.8, 53.7, 63.2, 72.4, 77.7, 76.2, 69.3, 57.9, 47.8, 39.1] },
+  { name: 'Oklahoma City, OK', latitude: 35.39, longitude: -97.60, normalsF: [39.2, 43.8, 52.5, 60.8, 70.1, 78.5, 83.0, 82.3, 74.4, 62.7, 50.6, 40.8] },
+  { name: 'Omaha, NE', latitude: 41.31, longitude: -95.90, normalsF: [24.8, 29.0, 40.2, 51.7, 62.9, 72.8, 77.2, 75.0, 66.3, 53.2, 39.2, 28.0] },
+  { name: 'Orlando, FL', latitude: 28.43, longitude: -81.31, normalsF: [60.9, 63.5, 67.4, 71.7, 77.0, 81.0, 82.5, 82.6, 81.1, 75.7, 68.3, 62.8] },
+  { name: 'Philadelphia, PA', latitude: 39.87, longitude: -75.23, normalsF: [33.7, 36.1, 43.6, 54.6, 64.6, 73.9, 79.1, 77.3, 70.1, 58.4, 47.6, 38.8] },
+  { name: 'Phoenix, AZ', latitude: 33.43, longitude: -112.01, normalsF: [56.8, 60.1, 65.9, 73.1, 82.0, 91.6, 95.5, 94.5, 88.6, 77.3, 64.6, 56.3] },
+  { name: 'Pittsburgh, PA', latitude: 40.49, longitude: -80.23, normalsF: [28.8, 31.3, 39.5, 51.1, 60.9, 69.4, 73.4, 72.1, 65.1, 53.6, 42.6, 33.4] },
+  { name: 'Portland, ME', latitude: 43.65, longitude: -70.30, normalsF: [22.5, 24.9, 32.7, 43.2, 53.2, 62.7, 69.0, 68.0, 60.1, 48.5, 38.3, 28.2] },
+  { name: 'Portland, OR', latitude: 45.59, longitude: -122.60, normalsF: [41.6, 43.6, 47.6, 51.6, 57.9, 63.2, 69.7, 70.0, 64.4, 54.5, 46.0, 41.0] },
+  { name: 'Raleigh, NC', latitude: 35.87, longitude: -78.79, normalsF: [41.8, 44.9, 51.9, 60.5, 68.6, 76.4, 80.1, 78.5, 72.5, 61.6, 51.2, 44.2] },
+  { name: 'Rapid City, SD', latitude: 44.05, longitude: -103.05, normalsF: [25.0, 27.3, 35.5, 43.9, 54.3, 64.3, 72.1, 71.1, 61.0, 47.6, 35.4, 26.4] },
+  { name: 'Sacramento, CA', latitude: 38.51, longitude: -121.49, normalsF: [47.3, 51.5, 55.4, 59.5, 66.0, 72.0, 76.2, 75.6, 72.4, 64.4, 53.7, 46.9] },
+  { name: 'Salt Lake City, UT', latitude: 40.79, longitude: -111.97, normalsF: [30.3, 35.2, 44.2, 50.6, 60.5, 71.2, 80.0, 77.9, 66.9, 53.0, 40.3, 30.6] },
+  { name: 'San Antonio, TX', latitude: 29.53, longitude: -98.47, normalsF: [52.8, 56.7, 63.7, 70.3, 77.7, 83.6, 85.4, 85.9, 80.4, 71.9, 61.2, 53.9] },
+  { name: 'San Diego, CA', latitude: 32.73, longitude: -117.18, normalsF: [58.0, 58.5, 60.2, 62.3, 64.5, 67.4, 71.1, 72.6, 71.5, 67.6, 62.4, 57.8] },
+  { name: 'San Francisco, CA', latitude: 37.62, longitude: -122.37, normalsF: [52.0, 54.0, 55.5, 57.0, 59.0, 61.5, 62.5, 63.5, 64.5, 62.5, 57.0, 52.5] },
+  { name: 'Seattle, WA', latitude: 47.44, longitude: -122.31, normalsF: [42.1, 43.4, 46.4, 50.5, 56.8, 61.6, 67.2, 67.6, 62.0, 52.9, 45.6, 41.3] },
+  { name: 'Spokane, WA', latitude: 47.62, longitude: -117.53, normalsF: [28.5, 31.7, 38.9, 45.7, 54.1, 61.4, 70.3, 69.8, 60.2, 46.8, 34.9, 27.4] },
+  { name: 'St. Louis, MO', latitude: 38.75, longitude: -90.37, normalsF: [32.3, 36.9, 46.6, 57.9, 67.6, 76.8, 80.6, 79.0, 71.6, 59.7, 47.2, 36.5] },
+  { name: 'Tampa, FL', latitude: 27.96, longitude: -82.54, normalsF: [62.3, 64.6, 68.6, 73.2, 78.9, 82.5, 83.4, 83.6, 82.3, 77.1, 69.9, 64.6] },
+  { name: 'Washington, DC', latitude: 38.85, longitude: -77.04, normalsF: [36.1, 38.5, 46.4, 57.2, 66.4, 75.4, 80.0, 78.3, 71.2, 59.4, 48.5, 40.2] },
+  { name: 'Calgary, AB', latitude: 51.11, longitude: -114.02, normalsF: [15.8, 19.0, 25.9, 38.3, 48.2, 56.1, 61.9, 60.6, 51.3, 40.3, 25.0, 17.9] },
+  { name: 'Edmonton, AB', latitude: 53.55, longitude: -113.49, normalsF: [7.3, 11.3, 22.5, 39.0, 50.9, 57.9, 62.2, 60.1, 51.0, 39.0, 22.8, 11.1] },
+  { name: 'Montreal, QC', latitude: 45.47, longitude: -73.74, normalsF: [14.9, 17.8, 28.0, 42.4, 55.9, 65.3, 70.2, 68.4, 59.9, 46.8, 35.2, 21.9] },
+  { name: 'Toronto, ON', latitude: 43.68, longitude: -79.63, normalsF: [20.8, 22.6, 30.6, 43.0, 54.9, 64.6, 70.0, 68.7, 61.0, 48.9, 37.9, 27.3] },
+  { name: 'Vancouver, BC', latitude: 49.19, longitude: -123.18, normalsF: [39.6, 41.0, 44.2, 48.2, 54.1, 59.0, 63.7, 64.0, 58.5, 50.5, 43.5, 38.5] },
+  { name: 'Winnipeg, MB', latitude: 49.91, longitude: -97.24, normalsF: [1.8, 6.4, 20.1, 38.8, 52.5, 62.2, 67.6, 65.6, 55.6, 41.2, 22.0, 6.4] },
+  { name: 'Mexico City, MX', latitude: 19.43, longitude: -99.13, normalsF: [57.0, 59.4, 63.0, 65.1, 65.9, 64.4, 62.4, 62.6, 62.1, 60.6, 58.8, 57.2] },
+  { name: 'London, UK', latitude: 51.48, longitude: -0.45, normalsF: [41.5, 42.1, 45.3, 48.9, 54.9, 60.4, 64.6, 64.0, 59.4, 53.2, 46.6, 42.1] },
+  { name: 'Paris, FR', latitude: 48.86, longitude: 2.35, normalsF: [41.5, 42.8, 47.5, 52.2, 58.5, 64.0, 67.5, 67.1, 61.5, 54.9, 47.1, 42.3] },
+  { name: 'Berlin, DE', latitude: 52.52, longitude: 13.40, normalsF: [32.5, 34.0, 39.7, 48.0, 56.5, 62.8, 66.2, 65.5, 58.6, 49.4, 40.6, 34.2] },
+  { name: 'Oslo, NO', latitude: 59.91, longitude: 10.75, normalsF: [25.0, 25.3, 30.7, 40.1, 50.5, 58.8, 62.8, 60.8, 52.5, 42.4, 33.4, 26.1] },
+  { name: 'Stockholm, SE', latitude: 59.33, longitude: 18.07, normalsF: [28.6, 28.4, 32.4, 41.0, 50.9, 59.7, 64.9, 63.0, 54.9, 44.8, 37.2, 31.1] },
+  { name: 'Madrid, ES', latitude: 40.42, longitude: -3.70, normalsF: [43.3, 46.0, 50.9, 55.0, 62.6, 72.0, 78.3, 77.4, 69.6, 59.0, 49.3, 44.2] },
+  { name: 'Rome, IT', latitude: 41.90, longitude: 12.50, normalsF: [46.6, 47.7, 51.6, 56.3, 63.7, 71.2, 76.5, 76.6, 70.2, 62.6, 54.1, 48.0] },
+  { name: 'Sydney, AU', latitude: -33.87, longitude: 151.21, normalsF: [73.8, 73.8, 72.0, 67.6, 62.4, 58.5, 56.8, 58.3, 62.1, 65.8, 68.9, 71.8] },
+  { name: 'Tokyo, JP', latitude: 35.68, longitude: 139.69, normalsF: [41.2, 42.3, 47.3, 56.1, 64.4, 70.9, 78.1, 80.8, 75.2, 64.9, 55.0, 45.9] }
+]
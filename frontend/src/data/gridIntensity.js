@@ -0,0 +1,63 @@
+// Approximate annual average grid carbon intensity (g CO2 per kWh consumed) for grid
+// regions, with the shape of a typical day. Shapes are relative to the daily average.
+export const HOURLY_SHAPES = {
+  // Solar pushes midday intensity down and gas peakers push the evening up.
+  solar: [1.12, 1.1, 1.08, 1.08, 1.08, 1.1, 1.08, 1.0, 0.88, 0.78, 0.72, 0.7, 0.7, 0.7, 0.72, 0.78, 0.9, 1.08, 1.25, 1.28, 1.25, 1.2, 1.16, 1.14],
+  // Overnight wind and low demand make nights the cleanest hours.
+  wind: [0.9, 0.88, 0.86, 0.86, 0.88, 0.92, 0.98, 1.04, 1.06, 1.04, 1.02, 1.0, 0.98, 0.98, 1.0, 1.02, 1.06, 1.12, 1.14, 1.1, 1.04, 0.98, 0.94, 0.92],
+  // Fossil baseload with gas following demand through the day.
+  fossil: [0.95, 0.94, 0.93, 0.93, 0.94, 0.96, 0.99, 1.02, 1.03, 1.03, 1.02, 1.02, 1.02, 1.02, 1.03, 1.04, 1.06, 1.08, 1.07, 1.05, 1.02, 0.99, 0.97, 0.96],
+  // Hydro or nuclear dominated grids barely change through the day.
+  baseload: [0.97, 0.96, 0.96, 0.96, 0.97, 0.98, 1.0, 1.01, 1.02, 1.02, 1.01, 1.01, 1.01, 1.01, 1.01, 1.02, 1.03, 1.04, 1.04, 1.03, 1.01, 1.0, 0.98, 0.97]
+}
+
+export const GRID_REGIONS = [
+  { id: 'us-camx', name: 'California', latitude: 36.8, longitude: -119.4, averageGramsPerKwh: 225, shape: 'solar' },
+  { id: 'us-nwpp', name: 'Pacific Northwest', latitude: 45.5, longitude: -119.5, averageGramsPerKwh: 290, shape: 'baseload' },
+  { id: 'us-aznm', name: 'Arizona and New Mexico', latitude: 33.9, longitude: -109.5, averageGramsPerKwh: 370, shape: 'solar' },
+  { id: 'us-rmpa', name: 'Rocky Mountains', latitude: 39.5, longitude: -105.5, averageGramsPerKwh: 560, shape: 'wind' },
+  { id: 'us-erct', name: 'Texas (ERCOT)', latitude: 31.0, longitude: -97.5, averageGramsPerKwh: 375, shape: 'wind' },
+  { id: 'us-spp', name: 'Southern Plains', latitude: 37.5, longitude: -98.0, averageGramsPerKwh: 440, shape: 'wind' },
+  { id: 'us-mrow', name: 'Upper Midwest', latitude: 44.5, longitude: -94.0, averageGramsPerKwh: 430, shape: 'wind' },
+  { id: 'us-srmw', name: 'Mississippi Valley', latitude: 38.6, longitude: -90.5, averageGramsPerKwh: 690, shape: 'fossil' },
+  { id: 'us-rfcw', name: 'Ohio Valley and Great Lakes', latitude: 40.5, longitude: -84.0, averageGramsPerKwh: 480, shape: 'fossil' },
+  { id: 'us-rfce', name: 'Mid-Atlantic', latitude: 40.0, longitude: -76.5, averageGramsPerKwh: 285, shape: 'baseload' },
+  { id: 'us-nycw', name: 'New York City', latitude: 40.7, longitude: -73.9, averageGramsPerKwh: 390, shape: 'fossil' },
+  { id: 'us-nyup', name: 'Upstate New York', latitude: 43.0, longitude: -75.5, averageGramsPerKwh: 105, shape: 'baseload' },
+  { id: 'us-newe', name: 'New England', latitude: 42.8, longitude: -71.5, averageGramsPerKwh: 240, shape: 'fossil' },
+  { id: 'us-srvc', name: 'Virginia and Carolinas', latitude: 36.0, longitude: -79.5, averageGramsPerKwh: 300, shape: 'baseload' },
+  { id: 'us-srso', name: 'Southeast', latitude: 32.8, longitude: -85.5, averageGramsPerKwh: 390, shape: 'fossil' },
+  { id: 'us-srtv', name: 'Tennessee Valley', latitude: 35.8, longitude: -86.5, averageGramsPerKwh: 370, shape: 'fossil' },
+  { id: 'us-frcc', name: 'Florida', latitude: 28.2, longitude: -81.7, averageGramsPerKwh: 390, shape: 'solar' },
+  { id: 'us-hioa', name: 'Hawaii (Oahu)', latitude: 21.4, longitude: -157.9, averageGramsPerKwh: 700, shape: 'solar' },
+  { id: 'us-akgd', name: 'Alaska', latitude: 61.2, longitude: -149.9, averageGramsPerKwh: 460, shape: 'fossil' },
+  { id: 'ca-on', name: 'Ontario', latitude: 44.5, longitude: -79.5, averageGramsPerKwh: 30, shape: 'baseload' },
+  { id: 'ca-qc', name: 'Quebec', latitude: 46.8, longitude: -71.8, averageGramsPerKwh: 2, shape: 'baseload' },
+  { id: 'ca-bc', name: 'British Columbia', latitude: 49.8, longitude: -123.0, averageGramsPerKwh: 12, shape: 'baseload' },
+  { id: 'ca-ab', name: 'Alberta', latitude: 52.0, longitude: -114.0, averageGramsPerKwh: 540, shape: 'fossil' },
+  { id: 'mx', name: 'Mexico', latitude: 20.5, longitude: -100.0, averageGramsPerKwh: 420, shape: 'fossil' },
+  { id: 'gb', name: 'Great Britain', latitude: 53.0, longitude: -1.5, averageGramsPerKwh: 200, shape: 'wind' },
+  { id: 'ie', name: 'Ireland', latitude: 53.3, longitude: -7.7, averageGramsPerKwh: 300, shape: 'wind' },
+  { id: 'fr', name: 'France', latitude: 46.6, longitude: 2.4, averageGramsPerKwh: 55, shape: 'baseload' },
+  { id: 'de', name: 'Germany', latitude: 51.1, longitude: 10.4, averageGramsPerKwh: 380, shape: 'wind' },
+  { id: 'nl', name: 'Netherlands', latitude: 52.2, longitude: 5.3, averageGramsPerKwh: 330, shape: 'wind' },
+  { id: 'es', name: 'Spain', latitude: 40.2, longitude: -3.7, averageGramsPerKwh: 150, shape: 'solar' },
+  { id: 'it', name: 'Italy', latitude: 42.8, longitude: 12.5, averageGramsPerKwh: 300, shape: 'solar' },
+  { id: 'pl', name: 'Poland', latitude: 52.0, longitude: 19.4, averageGramsPerKwh: 660, shape: 'fossil' },
+  { id: 'no', name: 'Norway', latitude: 61.0, longitude: 9.0, averageGramsPerKwh: 20, shape: 'baseload' },
+  { id: 'se', name: 'Sweden', latitude: 60.5, longitude: 15.5, averageGramsPerKwh: 30, shape: 'baseload' },
+  { id: 'au-nsw', name: 'New South Wales', latitude: -33.0, longitude: 147.0, averageGramsPerKwh: 680, shape: 'solar' },
+  { id: 'au-vic', name: 'Victoria', latitude: -37.0, longitude: 144.5, averageGramsPerKwh: 780, shape: 'wind' },
+  { id: 'nz', name: 'New Zealand', latitude: -41.0, longitude: 174.0, averageGramsPerKwh: 100, shape: 'baseload' },
+  { id: 'jp-tokyo', name: 'Tokyo', latitude: 35.7, longitude: 139.7, averageGramsPerKwh: 460, shape: 'fossil' }
+]
+
+// Used when the user is far from every region in the table.
+export const WORLD_AVERAGE_REGION = {
+  id: 'world',
+  name: 'World average',
+  latitude: null,
+  longitude: null,
+  averageGramsPerKwh: 480,
+  shape: 'fossil'
+}
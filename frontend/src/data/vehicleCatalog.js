@@ -0,0 +1,24 @@
+// Offline fallback for the vehicle presets API. Figures are EPA ranges and usable
+// battery capacity for each model year's most common trim.
+export const VEHICLE_CATALOG = [
+  { id: 'tesla-model-3-rwd-2024', make: 'Tesla', model: 'Model 3 RWD', year: 2024, batteryCapacityKwh: 57.5, rangeMiles: 272, efficiencyMilesPerKwh: 4.0, maxChargingSpeedKw: 170, weightLbs: 3862 },
+  { id: 'tesla-model-3-lr-2024', make: 'Tesla', model: 'Model 3 Long Range AWD', year: 2024, batteryCapacityKwh: 75, rangeMiles: 341, efficiencyMilesPerKwh: 3.8, maxChargingSpeedKw: 250, weightLbs: 4034 },
+  { id: 'tesla-model-y-lr-2024', make: 'Tesla', model: 'Model Y Long Range AWD', year: 2024, batteryCapacityKwh: 75, rangeMiles: 310, efficiencyMilesPerKwh: 3.6, maxChargingSpeedKw: 250, weightLbs: 4363 },
+  { id: 'tesla-model-s-2024', make: 'Tesla', model: 'Model S AWD', year: 2024, batteryCapacityKwh: 95, rangeMiles: 402, efficiencyMilesPerKwh: 3.8, maxChargingSpeedKw: 250, weightLbs: 4560 },
+  { id: 'hyundai-ioniq-5-lr-rwd-2024', make: 'Hyundai', model: 'Ioniq 5 Long Range RWD', year: 2024, batteryCapacityKwh: 77.4, rangeMiles: 303, efficiencyMilesPerKwh: 3.4, maxChargingSpeedKw: 235, weightLbs: 4200 },
+  { id: 'hyundai-ioniq-5-lr-awd-2024', make: 'Hyundai', model: 'Ioniq 5 Long Range AWD', year: 2024, batteryCapacityKwh: 77.4, rangeMiles: 260, efficiencyMilesPerKwh: 3.1, maxChargingSpeedKw: 235, weightLbs: 4600 },
+  { id: 'kia-ev6-lr-rwd-2024', make: 'Kia', model: 'EV6 Long Range RWD', year: 2024, batteryCapacityKwh: 77.4, rangeMiles: 310, efficiencyMilesPerKwh: 3.5, maxChargingSpeedKw: 235, weightLbs: 4255 },
+  { id: 'kia-ev9-lr-rwd-2024', make: 'Kia', model: 'EV9 Long Range RWD', year: 2024, batteryCapacityKwh: 99.8, rangeMiles: 304, efficiencyMilesPerKwh: 2.9, maxChargingSpeedKw: 210, weightLbs: 5093 },
+  { id: 'chevrolet-bolt-ev-2023', make: 'Chevrolet', model: 'Bolt EV', year: 2023, batteryCapacityKwh: 65, rangeMiles: 259, efficiencyMilesPerKwh: 3.6, maxChargingSpeedKw: 55, weightLbs: 3589 },
+  { id: 'chevrolet-equinox-ev-fwd-2024', make: 'Chevrolet', model: 'Equinox EV FWD', year: 2024, batteryCapacityKwh: 85, rangeMiles: 319, efficiencyMilesPerKwh: 3.5, maxChargingSpeedKw: 150, weightLbs: 4900 },
+  { id: 'ford-mustang-mach-e-er-rwd-2024', make: 'Ford', model: 'Mustang Mach-E Extended Range RWD', year: 2024, batteryCapacityKwh: 91, rangeMiles: 310, efficiencyMilesPerKwh: 3.3, maxChargingSpeedKw: 150, weightLbs: 4500 },
+  { id: 'ford-f-150-lightning-er-2024', make: 'Ford', model: 'F-150 Lightning Extended Range', year: 2024, batteryCapacityKwh: 131, rangeMiles: 320, efficiencyMilesPerKwh: 2.1, maxChargingSpeedKw: 155, weightLbs: 6500 },
+  { id: 'nissan-leaf-sv-plus-2024', make: 'Nissan', model: 'Leaf SV Plus', year: 2024, batteryCapacityKwh: 60, rangeMiles: 212, efficiencyMilesPerKwh: 3.6, maxChargingSpeedKw: 100, weightLbs: 3800 },
+  { id: 'nissan-ariya-venture-plus-2024', make: 'Nissan', model: 'Ariya Venture+', year: 2024, batteryCapacityKwh: 87, rangeMiles: 304, efficiencyMilesPerKwh: 3.3, maxChargingSpeedKw: 130, weightLbs: 4700 },
+  { id: 'volkswagen-id4-pro-s-2024', make: 'Volkswagen', model: 'ID.4 Pro S', year: 2024, batteryCapacityKwh: 77, rangeMiles: 291, efficiencyMilesPerKwh: 3.3, maxChargingSpeedKw: 175, weightLbs: 4600 },
+  { id: 'rivian-r1s-large-2024', make: 'Rivian', model: 'R1S Dual-Motor Large Pack', year: 2024, batteryCapacityKwh: 128, rangeMiles: 352, efficiencyMilesPerKwh: 2.5, maxChargingSpeedKw: 220, weightLbs: 7000 },
+  { id: 'bmw-i4-edrive40-2024', make: 'BMW', model: 'i4 eDrive40', year: 2024, batteryCapacityKwh: 80.7, rangeMiles: 301, efficiencyMilesPerKwh: 3.4, maxChargingSpeedKw: 205, weightLbs: 4680 },
+  { id: 'polestar-2-lr-single-2024', make: 'Polestar', model: '2 Long Range Single Motor', year: 2024, batteryCapacityKwh: 79, rangeMiles: 320, efficiencyMilesPerKwh: 3.7, maxChargingSpeedKw: 205, weightLbs: 4500 },
+  { id: 'toyota-bz4x-xle-fwd-2024', make: 'Toyota', model: 'bZ4X XLE FWD', year: 2024, batteryCapacityKwh: 64, rangeMiles: 252, efficiencyMilesPerKwh: 3.6, maxChargingSpeedKw: 100, weightLbs: 4200 },
+  { id: 'honda-prologue-awd-2024', make: 'Honda', model: 'Prologue AWD', year: 2024, batteryCapacityKwh: 85, rangeMiles: 281, efficiencyMilesPerKwh: 3.0, maxChargingSpeedKw: 150, weightLbs: 5000 }
+]
@@ -1,4 +1,5 @@
 import apiClient from './api.js'
+import { VEHICLE_CATALOG } from '../data/vehicleCatalog.js'
 
 export const evaluationService = {
   async uploadLocationData(files) {
@@ -79,10 +80,10 @@ export const evaluationService = {
   async getVehiclePresets() {
     try {
       const response = await apiClient.get('/vehicles/presets')
-      return response.vehicles || []
+      return response.vehicles && response.vehicles.length > 0 ? response.vehicles : VEHICLE_CATALOG
     } catch (error) {
-      console.warn('Failed to load vehicle presets:', error.message)
-      return []
+      console.warn('Failed to load vehicle presets, using offline catalog:', error.message)
+      return VEHICLE_CATALOG
     }
   },
 
@@ -95,8 +96,7 @@ export const evaluationService = {
       })
       return response.stations || []
     } catch (error) {
-      console.warn('Failed to load charging stations:', error.message)
-      return []
+      throw new Error(`Failed to load charging stations: ${error.message}`)
     }
   },
 
@@ -0,0 +1,91 @@
+import { ApiError } from './api.js'
+
+export const MAP_MATCHING_ENGINES = {
+  OSRM: 'osrm',
+  VALHALLA: 'valhalla'
+}
+
+const MILES_PER_METER = 1 / 1609.344
+const MILES_PER_KM = 0.621371
+const MAX_RADIUS_METERS = 50
+
+const fetchJson = async (url, options = {}) => {
+  let response
+  try {
+    response = await fetch(url, options)
+  } catch (error) {
+    throw new ApiError(`Network error: ${error.message}`, 0, { originalError: error })
+  }
+
+  const data = await response.json().catch(() => ({}))
+  if (!response.ok) {
+    throw new ApiError(
+      data.message || data.error || `HTTP ${response.status}: ${response.statusText}`,
+      response.status,
+      data
+    )
+  }
+  return data
+}
+
+const matchWithOsrm = async (points, baseUrl) => {
+  const coordinates = points.map(point => `${point.longitude},${point.latitude}`).join(';')
+  const params = new URLSearchParams({
+    overview: 'false',
+    gaps: 'ignore',
+    tidy: 'true',
+    timestamps: points.map(point => Math.floor(point.timestamp.getTime() / 1000)).join(';'),
+    radiuses: points.map(point => Math.min(point.accuracy || MAX_RADIUS_METERS, MAX_RADIUS_METERS)).join(';')
+  })
+  const data = await fetchJson(`${baseUrl}/match/v1/driving/${coordinates}?${params}`)
+
+  if (data.code !== 'Ok' || !data.matchings || data.matchings.length === 0) {
+    throw new ApiError(data.message || `OSRM could not match trace (${data.code})`, 422, data)
+  }
+
+  return data.matchings.reduce((sum, matching) => sum + matching.distance, 0) * MILES_PER_METER
+}
+
+const matchWithValhalla = async (points, baseUrl) => {
+  const data = await fetchJson(`${baseUrl}/trace_route`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      shape: points.map(point => ({
+        lat: point.latitude,
+        lon: point.longitude,
+        time: Math.floor(point.timestamp.getTime() / 1000)
+      })),
+      costing: 'auto',
+      shape_match: 'map_snap',
+      use_timestamps: true
+    })
+  })
+
+  if (!data.trip || !data.trip.summary) {
+    throw new ApiError('Valhalla could not match trace', 422, data)
+  }
+
+  return data.trip.summary.length * MILES_PER_KM
+}
+
+export const mapMatchingService = {
+  getDefaultConfig() {
+    return {
+      engine: import.meta.env.VITE_MAP_MATCHING_ENGINE || MAP_MATCHING_ENGINES.OSRM,
+      baseUrl: import.meta.env.VITE_MAP_MATCHING_URL || ''
+    }
+  },
+
+  async matchDistance(points, { engine, baseUrl }) {
+    const url = baseUrl.replace(/\/+$/, '')
+
+    if (engine === MAP_MATCHING_ENGINES.VALHALLA) {
+      return matchWithValhalla(points, url)
+    }
+    if (engine === MAP_MATCHING_ENGINES.OSRM) {
+      return matchWithOsrm(points, url)
+    }
+    throw new Error(`Unsupported map matching engine: ${engine}`)
+  }
+}
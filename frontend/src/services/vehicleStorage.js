@@ -0,0 +1,37 @@
+const STORAGE_KEY = 'evaluator.customVehicles'
+
+const readVehicles = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || []
+  } catch {
+    return []
+  }
+}
+
+const writeVehicles = (vehicles) => {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(vehicles))
+}
+
+export const vehicleStorage = {
+  getCustomVehicles() {
+    return readVehicles()
+  },
+
+  saveCustomVehicle(vehicle) {
+    const vehicles = readVehicles()
+    const existing = vehicles.find(saved => saved.name.toLowerCase() === vehicle.name.toLowerCase())
+    const saved = {
+      ...vehicle,
+      id: existing ? existing.id : `custom-${Math.random().toString(36).substr(2, 9)}`
+    }
+
+    writeVehicles(existing
+      ? vehicles.map(candidate => candidate.id === existing.id ? saved : candidate)
+      : [...vehicles, saved])
+    return saved
+  },
+
+  deleteCustomVehicle(id) {
+    writeVehicles(readVehicles().filter(vehicle => vehicle.id !== id))
+  }
+}
@@ -2,7 +2,20 @@ export const LocationPoint = {
   timestamp: Date,
   latitude: Number,
   longitude: Number,
-  accuracy: Number
+  accuracy: Number,
+  altitude: Number,
+  speed: Number,
+  activityType: String,
+  sourceFile: String
+}
+
+export const Stay = {
+  id: String,
+  latitude: Number,
+  longitude: Number,
+  arrivalTime: Date,
+  departureTime: Date,
+  durationMinutes: Number
 }
 
 export const Trip = {
@@ -10,6 +23,7 @@ export const Trip = {
   startTime: Date,
   endTime: Date,
   distance: Number,
+  distanceMethod: String,
   duration: Number,
   startLocation: {
     lat: Number,
@@ -18,14 +32,340 @@ export const Trip = {
   endLocation: {
     lat: Number,
     lng: Number
-  }
+  },
+  activityType: String,
+  maxSpeedMph: Number,
+  speedProfile: {
+    cityMiles: Number,
+    highwayMiles: Number,
+    cityAverageMph: Number,
+    highwayAverageMph: Number,
+    stops: Number
+  },
+  elevationGainMeters: Number,
+  elevationLossMeters: Number,
+  mode: String,
+  modeSource: String,
+  source: String,
+  sourceFile: String,
+  originStay: Stay,
+  destinationStay: Stay
 }
 
 export const VehicleConfiguration = {
   name: String,
   batteryRange: Number,
   chargingSpeed: Number,
-  efficiency: Number
+  efficiency: Number,
+  batteryCapacity: Number,
+  regenEfficiency: Number,
+  weightLbs: Number,
+  chargingProfile: String,
+  electricityTariff: String,
+  customTariff: Object,
+  maxChargingSpeedKw: Number,
+  presetId: String,
+  consumptionCurve: [{
+    speedMph: Number,
+    whPerMile: Number
+  }]
+}
+
+export const EnergyOptions = {
+  ambientTemperatureF: Number,
+  departureSoc: Number,
+  reserveSoc: Number,
+  cityStopsPerMile: Number,
+  highwayStopsPerMile: Number,
+  climate: {
+    maxStationMiles: Number,
+    stationCount: Number
+  },
+  seasonal: {
+    coldSnapOffsetF: Number,
+    windowDays: Number
+  }
+}
+
+export const Place = {
+  id: String,
+  type: String,
+  latitude: Number,
+  longitude: Number,
+  visits: Number
+}
+
+export const ChargerSpec = {
+  powerKw: Number,
+  minDwellMinutes: Number,
+  belowSoc: Number,
+  targetSoc: Number
+}
+
+export const ChargingProfile = {
+  id: String,
+  label: String,
+  chargers: Object
+}
+
+export const ChargingOptions = {
+  profile: String,
+  publicDetourBelowSoc: Number,
+  chargers: {
+    home: ChargerSpec,
+    work: ChargerSpec,
+    public: ChargerSpec
+  },
+  chargingEfficiency: Number,
+  placeRadiusMeters: Number
+}
+
+export const SocSimulation = {
+  minSoc: Number,
+  finalSoc: Number,
+  reserveViolations: Number,
+  strandedTrips: Number,
+  violations: [{
+    tripId: String,
+    time: Date,
+    distance: Number,
+    departureSoc: Number,
+    arrivalSoc: Number,
+    stranded: Boolean
+  }],
+  chargingSessions: Object,
+  chargedKwh: Object,
+  chargers: Object,
+  publicDetours: Number,
+  months: Number,
+  publicSessionsPerMonth: Number,
+  sessionsPerWeek: Number
+}
+
+export const ChargingPlan = {
+  tripId: String,
+  startTime: Date,
+  distance: Number,
+  status: String,
+  reason: String,
+  stops: [{
+    stationId: String,
+    name: String,
+    networkName: String,
+    latitude: Number,
+    longitude: Number,
+    maxPowerKw: Number,
+    pricing: Object,
+    atMile: Number,
+    arriveSoc: Number,
+    departSoc: Number,
+    chargeMinutes: Number
+  }],
+  chargingMinutes: Number,
+  detourMinutes: Number,
+  drivingMinutes: Number,
+  totalMinutes: Number
+}
+
+export const ChargingCost = {
+  monthlyCost: Number,
+  costByType: Object,
+  currency: String
+}
+
+export const ChargingTariff = {
+  perKwh: Number,
+  perMinute: Number,
+  sessionFee: Number
+}
+
+export const TariffWindow = {
+  startHour: Number,
+  endHour: Number,
+  price: Number
+}
+
+export const ElectricityTariff = {
+  id: String,
+  label: String,
+  currency: String,
+  weekday: [TariffWindow],
+  weekend: [TariffWindow]
+}
+
+export const ChargingSchedule = {
+  tariffId: String,
+  currency: String,
+  powerKw: Number,
+  overnightStays: Number,
+  energyKwh: Number,
+  monthlyNaiveCost: Number,
+  monthlyOptimizedCost: Number,
+  monthlySavings: Number,
+  effectivePricePerKwh: Number,
+  schedule: {
+    weekday: { start: String, end: String, nights: Number },
+    weekend: { start: String, end: String, nights: Number }
+  },
+  shortfallDays: Number,
+  shortfalls: [{
+    date: Date,
+    morningSoc: Number,
+    requiredSoc: Number,
+    missingKwh: Number
+  }]
+}
+
+export const GridRegion = {
+  id: String,
+  name: String,
+  latitude: Number,
+  longitude: Number,
+  averageGramsPerKwh: Number,
+  shape: String
+}
+
+export const EmissionsOptions = {
+  gasMpg: Number,
+  maxRegionMiles: Number,
+  chargingEfficiency: Number,
+  chargingHours: Object,
+  region: GridRegion,
+  location: { latitude: Number, longitude: Number }
+}
+
+export const EmissionsComparison = {
+  regionId: String,
+  regionName: String,
+  yearlyMiles: Number,
+  yearlyKwh: Number,
+  gramsPerKwh: Number,
+  ev: {
+    yearlyKg: Number,
+    byLocation: Object
+  },
+  gas: {
+    mpg: Number,
+    yearlyKg: Number
+  },
+  yearlySavingsKg: Number,
+  reductionPercent: Number
+}
+
+export const DegradationOptions = {
+  years: [Number],
+  calendarFadePerSqrtYear: Number,
+  referenceTemperatureF: Number,
+  doublingTemperatureF: Number,
+  cycleFadePerCycle: Number,
+  minimumCapacity: Number,
+  thresholds: [Number]
+}
+
+export const BatteryDegradation = {
+  cyclesPerYear: Number,
+  calendarAgingFactor: Number,
+  projections: [{
+    year: Number,
+    capacityPercent: Number,
+    feasibilityScore: Number,
+    feasibleTrips: Number,
+    effectiveRange: Number,
+    reserveViolations: Number,
+    publicSessionsPerMonth: Number
+  }],
+  thresholdCrossings: [{
+    threshold: Number,
+    year: Number
+  }]
+}
+
+export const OwnershipOptions = {
+  gasMpg: Number,
+  gasPricePerGallon: Number,
+  gasMaintenancePerMile: Number,
+  evMaintenancePerMile: Number,
+  evPurchasePrice: Number,
+  currentVehicleValue: Number,
+  incentives: Number,
+  years: Number,
+  chargingEfficiency: Number
+}
+
+export const OwnershipCost = {
+  monthlyMiles: Number,
+  monthly: {
+    ev: { energy: Number, maintenance: Number, total: Number },
+    gas: { energy: Number, maintenance: Number, total: Number },
+    savings: Number
+  },
+  electricityByType: Object,
+  upfrontCost: Number,
+  breakEvenMonths: Number,
+  yearly: [{
+    year: Number,
+    evCost: Number,
+    gasCost: Number,
+    savings: Number
+  }]
+}
+
+export const VehicleComparisonRow = {
+  rank: Number,
+  name: String,
+  vehicleConfig: Object,
+  feasibilityScore: Number,
+  chargingFrequency: String,
+  problematicTripCount: Number,
+  reserveViolations: Number,
+  publicSessionsPerMonth: Number,
+  monthlyChargingCost: Number,
+  currency: String
+}
+
+export const ClimateStation = {
+  name: String,
+  latitude: Number,
+  longitude: Number,
+  normalsF: [Number]
+}
+
+export const MonthlyFeasibility = {
+  month: String,
+  observedTrips: Number,
+  averageTemperatureF: Number,
+  feasibilityScore: Number,
+  feasibleTrips: Number,
+  averageEfficiency: Number,
+  effectiveRange: Number
+}
+
+export const WinterWeekScenario = {
+  weekStart: Date,
+  weekEnd: Date,
+  temperatureF: Number,
+  totalTrips: Number,
+  feasibleTrips: Number,
+  feasibilityScore: Number,
+  distance: Number,
+  energyKwh: Number,
+  chargesNeeded: Number
+}
+
+export const MapMatchingConfig = {
+  engine: String,
+  baseUrl: String,
+  maxPointsPerRequest: Number
+}
+
+export const CleaningReport = {
+  inputPoints: Number,
+  outputPoints: Number,
+  steps: [{
+    id: String,
+    label: String,
+    removed: Number
+  }]
 }
 
 export const EvaluationResults = {
@@ -37,10 +377,53 @@ export const EvaluationResults = {
   recommendedRange: Number,
   chargingFrequency: String,
   dailyMileage: Number,
+  monthlyMiles: Number,
   problematicTrips: [{
     id: String,
     distance: Number,
+    energyKwh: Number,
+    temperatureF: Number,
+    arrivalSoc: Number,
     reason: String
+  }],
+  chargingPlans: [ChargingPlan],
+  batteryCapacityKwh: Number,
+  totalEnergyKwh: Number,
+  dailyEnergyKwh: Number,
+  averageEfficiency: Number,
+  monthlyBreakdown: [MonthlyFeasibility],
+  worstWinterWeek: WinterWeekScenario,
+  chargingProfile: String,
+  socSimulation: SocSimulation,
+  batteryDegradation: BatteryDegradation,
+  chargingCost: ChargingCost,
+  chargingSchedule: ChargingSchedule,
+  emissions: EmissionsComparison,
+  chargingProfiles: [{
+    id: String,
+    label: String,
+    publicSessionsPerMonth: Number,
+    reserveViolations: Number,
+    strandedTrips: Number,
+    minSoc: Number
+  }],
+  places: [Place],
+  totalStays: Number,
+  cleaningReport: CleaningReport,
+  modeBreakdown: Object,
+  distanceMethods: Object,
+  mapMatchingReport: {
+    matched: Number,
+    failed: Number,
+    lastError: String
+  },
+  tripModes: [{
+    id: String,
+    startTime: Date,
+    distance: Number,
+    duration: Number,
+    mode: String,
+    modeSource: String
   }]
 }
 
@@ -69,7 +452,13 @@ export const VehiclePreset = {
   batteryCapacityKwh: Number,
   rangeMiles: Number,
   efficiencyMilesPerKwh: Number,
-  maxChargingSpeedKw: Number
+  maxChargingSpeedKw: Number,
+  weightLbs: Number
+}
+
+export const CustomVehicle = {
+  id: String,
+  ...VehicleConfiguration
 }
 
 export const UploadedFile = {
@@ -82,6 +471,35 @@ export const UploadedFile = {
   }
 }
 
+export const ZipEntry = {
+  name: String,
+  method: Number,
+  compressedSize: Number,
+  uncompressedSize: Number,
+  localHeaderOffset: Number
+}
+
+export const CsvMapping = {
+  delimiter: String,
+  columns: {
+    latitude: Number,
+    longitude: Number,
+    timestamp: Number,
+    accuracy: Number,
+    speed: Number
+  },
+  timestampFormat: String,
+  speedUnit: String
+}
+
+export const UploadSource = {
+  name: String,
+  size: Number,
+  file: File,
+  entry: ZipEntry,
+  csvMapping: CsvMapping
+}
+
 export const ValidationResult = {
   isValid: Boolean,
   format: String,
@@ -106,6 +524,34 @@ export const LocationStats = {
   averageAccuracy: Number
 }
 
+export const ParseProgress = {
+  fileName: String,
+  bytesRead: Number,
+  totalBytes: Number,
+  pointsParsed: Number
+}
+
+export const AnalysisWorkerMessage = {
+  type: String,
+  id: Number,
+  stage: String,
+  results: Object,
+  message: String
+}
+
+export const MergeReport = {
+  sources: [{
+    name: String,
+    totalPoints: Number,
+    contributedPoints: Number,
+    droppedPoints: Number,
+    totalTrips: Number,
+    droppedTrips: Number
+  }],
+  droppedPoints: Number,
+  droppedTrips: Number
+}
+
 export const FeasibilityLevel = {
   EXCELLENT: 'excellent',
   GOOD: 'good', 
@@ -115,8 +561,10 @@ export const FeasibilityLevel = {
 
 export const FileFormat = {
   JSON: 'json',
+  GEOJSON: 'geojson',
   CSV: 'csv',
-  KML: 'kml'
+  KML: 'kml',
+  GPX: 'gpx'
 }
 
 export const ChargingFrequency = {
@@ -0,0 +1,447 @@
+import { cleanLocationPoints } from './gpsCleaning.js'
+import { DEFAULT_SEGMENTATION_OPTIONS, attachStays, segmentTrips } from './tripSegmentation.js'
+import { splitOutsideCoverage, tripCoverage } from './mergeLocations.js'
+import { TRANSPORT_MODES, classifyTrip, classifyTrips, summarizeModes } from './transportMode.js'
+import { matchTripDistances, pointsDuringTrip, summarizeDistanceMethods } from './roadDistance.js'
+import { mapMatchingService } from '../services/mapMatchingService.js'
+import { DEFAULT_ENERGY_OPTIONS, TRIP_SOC_STATUS, resolveVehicleParameters, scoreTrip } from './energyModel.js'
+import { monthlyNormalsAt, tripTemperatureF } from './climate.js'
+import { buildMonthlyBreakdown, findWorstWinterWeek } from './seasonalAnalysis.js'
+import { PLACE_TYPES, inferPlaces } from './places.js'
+import { simulateStateOfCharge } from './socSimulation.js'
+import { CHARGING_PROFILES, getChargingProfile } from './chargingProfiles.js'
+import { TRIP_PLAN_STATUS, planChargingStops, vehicleMaxChargingKw } from './chargingStopPlanner.js'
+import { estimateMonthlyChargingCost } from './energyCost.js'
+import { resolveElectricityTariff } from './electricityTariffs.js'
+import { optimizeChargingSchedule } from './chargingSchedule.js'
+import { calculateEmissions } from './emissions.js'
+import { degradeVehicleConfig, projectBatteryDegradation } from './batteryDegradation.js'
+import { ANALYSIS_STAGES, AnalysisCancelledError, AnalysisStageError } from './analysisStages.js'
+
+const evaluateTripsForEv = (trips, vehicleConfig, energyOptions = {}, { places = [], charging = {}, prices = {}, tariff = null, emissions = {}, degradation = {} } = {}) => {
+  const settings = { ...DEFAULT_ENERGY_OPTIONS, ...energyOptions }
+  const params = resolveVehicleParameters(vehicleConfig)
+  const selectedProfile = getChargingProfile(charging.profile || vehicleConfig.chargingProfile)
+  const electricityTariff = tariff || resolveElectricityTariff(vehicleConfig)
+
+  let feasibleTrips = 0
+  let totalDistance = 0
+  let totalEnergyKwh = 0
+  let maxTripDistance = 0
+  let maxTripEnergyKwh = 0
+  const problematicTrips = []
+  const scoredTrips = []
+  
+  const temperatureOf = settings.ambientTemperatureF === null
+    ? trip => tripTemperatureF(trip, settings.climate)
+    : trip => typeof settings.ambientTemperatureF === 'function'
+      ? settings.ambientTemperatureF(trip)
+      : settings.ambientTemperatureF
+  
+  for (let trip of trips) {
+    const { energyKwh, arrivalSoc, status, temperatureF } = scoreTrip(trip, params, settings, temperatureOf(trip))
+
+    totalDistance += trip.distance
+    totalEnergyKwh += energyKwh
+    maxTripDistance = Math.max(maxTripDistance, trip.distance)
+    maxTripEnergyKwh = Math.max(maxTripEnergyKwh, energyKwh)
+    scoredTrips.push({ ...trip, energyKwh, temperatureF })
+
+    if (status === TRIP_SOC_STATUS.OK) {
+      feasibleTrips++
+    } else {
+      problematicTrips.push({
+        id: trip.id,
+        distance: trip.distance,
+        energyKwh: parseFloat(energyKwh.toFixed(1)),
+        temperatureF: Math.round(temperatureF),
+        arrivalSoc: Math.round(arrivalSoc * 100),
+        reason: status === TRIP_SOC_STATUS.EXCEEDS_BATTERY
+          ? 'Exceeds battery capacity'
+          : `Arrives at ${Math.max(0, Math.round(arrivalSoc * 100))}% (below ${Math.round(settings.reserveSoc * 100)}% reserve)`
+      })
+    }
+  }
+
+  const feasibilityScore = trips.length > 0 
+    ? Math.round((feasibleTrips / trips.length) * 100)
+    : 0
+
+  const averageTripDistance = trips.length > 0
+    ? totalDistance / trips.length
+    : 0
+
+  const recommendedRange = Math.max(
+    (maxTripEnergyKwh / (settings.departureSoc - settings.reserveSoc)) * params.ratedEfficiency,
+    averageTripDistance * 2
+  )
+
+  const simulations = CHARGING_PROFILES.map(profile => ({
+    profile,
+    simulation: simulateStateOfCharge(scoredTrips, params, places, {
+      ...settings,
+      ...charging,
+      chargers: { ...profile.chargers, ...charging.chargers }
+    })
+  }))
+  const socSimulation = simulations.find(({ profile }) => profile.id === selectedProfile.id).simulation
+
+  const dailyMileage = calculateDailyMileage(trips)
+  const dailyEnergyKwh = calculateDailyMileage(scoredTrips, trip => trip.energyKwh)
+  const chargingFrequency = trips.length > 0 ? calculateChargingFrequency(socSimulation.sessionsPerWeek) : 'Rarely'
+  const home = places.find(place => place.type === PLACE_TYPES.HOME)
+  const gridLocation = home || (trips.length > 0
+    ? { latitude: trips[0].startLocation.lat, longitude: trips[0].startLocation.lng }
+    : null)
+
+  const evaluateDegraded = (capacityFraction) => {
+    const degradedParams = resolveVehicleParameters(degradeVehicleConfig(vehicleConfig, capacityFraction))
+    const feasible = scoredTrips.filter(trip =>
+      scoreTrip(trip, degradedParams, settings, trip.temperatureF).status === TRIP_SOC_STATUS.OK
+    ).length
+    const simulation = simulateStateOfCharge(scoredTrips, degradedParams, places, {
+      ...settings,
+      ...charging,
+      chargers: { ...selectedProfile.chargers, ...charging.chargers }
+    })
+
+    return {
+      feasibilityScore: Math.round((feasible / trips.length) * 100),
+      feasibleTrips: feasible,
+      effectiveRange: Math.round(degradedParams.batteryCapacityKwh * degradedParams.ratedEfficiency),
+      reserveViolations: simulation.reserveViolations,
+      publicSessionsPerMonth: simulation.publicSessionsPerMonth
+    }
+  }
+  const totalChargedKwh = Object.values(socSimulation.chargedKwh).reduce((sum, kwh) => sum + kwh, 0)
+  const batteryDegradation = trips.length > 0
+    ? projectBatteryDegradation(evaluateDegraded, {
+      cyclesPerYear: (totalChargedKwh * 12) / socSimulation.months / params.batteryCapacityKwh,
+      normalsF: gridLocation ? monthlyNormalsAt(gridLocation.latitude, gridLocation.longitude, settings.climate) : null,
+      currentScore: feasibilityScore
+    }, degradation)
+    : null
+
+  const chargingSchedule = optimizeChargingSchedule(scoredTrips, params, places, electricityTariff, {
+    ...settings,
+    ...charging,
+    charger: socSimulation.chargers[PLACE_TYPES.HOME]
+  })
+  // Home charging is billed on the selected tariff, so the cost is in that tariff's currency.
+  const homePrice = chargingSchedule ? { [PLACE_TYPES.HOME]: chargingSchedule.effectivePricePerKwh } : {}
+
+  const results = {
+    feasibilityScore,
+    totalTrips: trips.length,
+    feasibleTrips,
+    averageTripDistance: parseFloat(averageTripDistance.toFixed(1)),
+    maxTripDistance: parseFloat(maxTripDistance.toFixed(1)),
+    recommendedRange: Math.ceil(recommendedRange),
+    chargingFrequency,
+    problematicTrips: problematicTrips
+      .sort((a, b) => a.arrivalSoc - b.arrivalSoc)
+      .slice(0, 10),
+    dailyMileage: parseFloat(dailyMileage.toFixed(1)),
+    monthlyMiles: parseFloat((totalDistance / socSimulation.months).toFixed(1)),
+    batteryCapacityKwh: parseFloat(params.batteryCapacityKwh.toFixed(1)),
+    totalEnergyKwh: parseFloat(totalEnergyKwh.toFixed(1)),
+    dailyEnergyKwh: parseFloat(dailyEnergyKwh.toFixed(1)),
+    averageEfficiency: totalEnergyKwh > 0 ? parseFloat((totalDistance / totalEnergyKwh).toFixed(2)) : 0,
+    monthlyBreakdown: trips.length > 0 ? buildMonthlyBreakdown(trips, params, settings) : [],
+    worstWinterWeek: findWorstWinterWeek(trips, params, settings),
+    chargingProfile: selectedProfile.id,
+    socSimulation,
+    batteryDegradation,
+    chargingCost: {
+      ...estimateMonthlyChargingCost(socSimulation, { ...homePrice, ...prices }, charging.chargingEfficiency),
+      currency: electricityTariff.currency
+    },
+    chargingSchedule,
+    chargingProfiles: simulations.map(({ profile, simulation }) => ({
+      id: profile.id,
+      label: profile.label,
+      publicSessionsPerMonth: simulation.publicSessionsPerMonth,
+      reserveViolations: simulation.reserveViolations,
+      strandedTrips: simulation.strandedTrips,
+      minSoc: simulation.minSoc
+    }))
+  }
+
+  return {
+    ...results,
+    emissions: calculateEmissions(results, { location: gridLocation, ...emissions })
+  }
+}
+
+const calculateDailyMileage = (trips, valueOf = trip => trip.distance) => {
+  if (trips.length === 0) return 0
+
+  const tripsByDay = new Map()
+  
+  for (let trip of trips) {
+    const day = trip.startTime.toDateString()
+    if (!tripsByDay.has(day)) {
+      tripsByDay.set(day, 0)
+    }
+    tripsByDay.set(day, tripsByDay.get(day) + valueOf(trip))
+  }
+
+  const totalMileage = Array.from(tripsByDay.values()).reduce((sum, miles) => sum + miles, 0)
+  return totalMileage / tripsByDay.size
+}
+
+const calculateChargingFrequency = (sessionsPerWeek) => {
+  if (sessionsPerWeek === 0) return 'Rarely'
+  
+  if (sessionsPerWeek <= 1) return 'Weekly'
+  if (sessionsPerWeek <= 3) return '2-3 times per week'
+  if (sessionsPerWeek <= 7) return 'Daily'
+  return 'Multiple times daily'
+}
+
+// Pre-segmented trips are kept for the time they cover; only the points in between are segmented.
+const segmentOutsideCoverage = (points, coverage, options) => {
+  const trips = []
+  const stays = []
+
+  for (let run of splitOutsideCoverage(points, coverage)) {
+    const segmented = segmentTrips(run, options)
+    for (let trip of segmented.trips) trips.push(trip)
+    for (let stay of segmented.stays) stays.push(stay)
+  }
+
+  return { trips, stays }
+}
+
+const NO_HOOKS = {
+  onStage: () => {},
+  isCancelled: () => false
+}
+
+const throwIfCancelled = (hooks) => {
+  if (hooks.isCancelled()) {
+    throw new AnalysisCancelledError()
+  }
+}
+
+const runStage = async (stage, hooks, work) => {
+  hooks.onStage(stage)
+  // Yield so the progress event goes out and a pending cancel message is handled before the stage starts.
+  await new Promise(resolve => setTimeout(resolve, 0))
+  throwIfCancelled(hooks)
+
+  try {
+    return await work()
+  } catch (error) {
+    if (error instanceof AnalysisCancelledError) throw error
+    throw new AnalysisStageError(stage, error)
+  }
+}
+
+const scoreTrips = (state, vehicleConfig) => {
+  const { trips, options, places, context, modeOverrides } = state
+  const classified = classifyTrips(trips, { ...options.classification, overrides: modeOverrides })
+  const drivingTrips = classified.filter(trip => trip.mode === TRANSPORT_MODES.DRIVING)
+  const analysis = evaluateTripsForEv(drivingTrips, vehicleConfig, options.energy, {
+    places,
+    charging: options.charging,
+    prices: options.prices,
+    tariff: options.tariff,
+    emissions: options.emissions,
+    degradation: options.degradation
+  })
+
+  return {
+    ...analysis,
+    ...context,
+    places: places
+      .filter(place => place.type !== PLACE_TYPES.PUBLIC)
+      .map(({ id, type, latitude, longitude, visits }) => ({ id, type, latitude, longitude, visits })),
+    modeBreakdown: summarizeModes(classified),
+    tripModes: [...classified]
+      .sort((a, b) => b.distance - a.distance)
+      .map(trip => ({
+        id: trip.id,
+        startTime: trip.startTime,
+        distance: trip.distance,
+        duration: trip.duration,
+        mode: trip.mode,
+        modeSource: trip.modeSource
+      }))
+  }
+}
+
+const planLongTrips = async (state, results, vehicleConfig, hooks) => {
+  const { trips, points, options, chargingPlans: cache } = state
+  const params = resolveVehicleParameters(vehicleConfig)
+  const vehicleMaxKw = vehicleMaxChargingKw(vehicleConfig, params)
+  const { departureSoc, reserveSoc } = { ...DEFAULT_ENERGY_OPTIONS, ...options.energy }
+  const chargingPlans = []
+
+  for (let problem of results.problematicTrips) {
+    if (cache.has(problem.id)) {
+      chargingPlans.push(cache.get(problem.id))
+      continue
+    }
+    throwIfCancelled(hooks)
+    const trip = trips.find(candidate => candidate.id === problem.id)
+    const plan = await planChargingStops(
+      { ...trip, energyKwh: problem.energyKwh, temperatureF: problem.temperatureF },
+      params,
+      vehicleMaxKw,
+      pointsDuringTrip(points, trip),
+      { departureSoc, reserveSoc, ...options.planner }
+    )
+    // A plan made without station data is retried on the next rescore rather than kept.
+    if (plan.status !== TRIP_PLAN_STATUS.UNAVAILABLE) cache.set(problem.id, plan)
+    chargingPlans.push(plan)
+  }
+
+  return { ...results, chargingPlans }
+}
+
+// Keeps the analysed trips between requests so a vehicle change or mode override only re-scores them.
+// Requests run one at a time, and a run only replaces the kept state once it has finished.
+export const createAnalysisEngine = () => {
+  let state = null
+  let queue = Promise.resolve()
+
+  const serialize = (task) => {
+    const run = queue.then(task, task)
+    queue = run.catch(() => {})
+    return run
+  }
+
+  const analyze = ({ locationData, vehicleConfig, options = {}, modeOverrides = {} }, hooks = {}) => serialize(async () => {
+    const stageHooks = { ...NO_HOOKS, ...hooks }
+
+    if (!locationData || locationData.length === 0) {
+      throw new Error('No location data available for analysis')
+    }
+
+    if (!vehicleConfig || !vehicleConfig.batteryRange) {
+      throw new Error('Vehicle configuration is incomplete')
+    }
+
+    const classification = options.classification || {}
+    const mapMatching = options.mapMatching || mapMatchingService.getDefaultConfig()
+    const { segmentedTrips = [], cleaning = {}, segmentation = {} } = options
+    const coverage = options.tripCoverage || tripCoverage(segmentedTrips)
+
+    const cleaned = await runStage(ANALYSIS_STAGES.CLEANING, stageHooks, () => cleanLocationPoints(locationData, cleaning))
+
+    const { trips, stays, mapMatchingReport } = await runStage(ANALYSIS_STAGES.SEGMENTING, stageHooks, async () => {
+      const segmented = segmentOutsideCoverage(cleaned.points, coverage, segmentation)
+      const { minTripMiles } = { ...DEFAULT_SEGMENTATION_OPTIONS, ...segmentation }
+      const builtTrips = [
+        ...attachStays(segmentedTrips.filter(trip => trip.distance > minTripMiles), segmented.stays, segmentation),
+        ...segmented.trips
+      ].sort((a, b) => a.startTime - b.startTime)
+
+      if (!mapMatching.baseUrl) {
+        return { trips: builtTrips, stays: segmented.stays, mapMatchingReport: null }
+      }
+
+      const result = await matchTripDistances(
+        builtTrips,
+        cleaned.points,
+        mapMatching,
+        trip => classifyTrip(trip, classification).mode === TRANSPORT_MODES.DRIVING
+      )
+      return { trips: result.trips, stays: segmented.stays, mapMatchingReport: result.report }
+    })
+
+    return runStage(ANALYSIS_STAGES.SCORING, stageHooks, async () => {
+      const next = {
+        trips,
+        points: cleaned.points,
+        options,
+        modeOverrides,
+        places: inferPlaces(stays, options.places),
+        context: {
+          totalStays: stays.length,
+          cleaningReport: cleaned.report,
+          distanceMethods: summarizeDistanceMethods(trips),
+          mapMatchingReport
+        },
+        chargingPlans: new Map(),
+        vehicleConfig
+      }
+      const results = await planLongTrips(next, scoreTrips(next, vehicleConfig), vehicleConfig, stageHooks)
+      state = next
+      return results
+    })
+  })
+
+  const rescore = ({ vehicleConfig, modeOverrides, options = {} } = {}, hooks = {}) => serialize(async () => {
+    const stageHooks = { ...NO_HOOKS, ...hooks }
+
+    if (!state) {
+      throw new Error('Run an analysis before re-scoring')
+    }
+
+    const nextVehicleConfig = vehicleConfig || state.vehicleConfig
+    if (!nextVehicleConfig.batteryRange) {
+      throw new Error('Vehicle configuration is incomplete')
+    }
+
+    // Charging plans depend on the vehicle, so they are only reused while it stays the same.
+    const sameVehicle = JSON.stringify(nextVehicleConfig) === JSON.stringify(state.vehicleConfig)
+
+    return runStage(ANALYSIS_STAGES.SCORING, stageHooks, async () => {
+      const next = {
+        ...state,
+        options: { ...state.options, ...options },
+        modeOverrides: modeOverrides || state.modeOverrides,
+        chargingPlans: sameVehicle ? state.chargingPlans : new Map(),
+        vehicleConfig: nextVehicleConfig
+      }
+      const results = await planLongTrips(next, scoreTrips(next, nextVehicleConfig), nextVehicleConfig, stageHooks)
+      state = next
+      return results
+    })
+  })
+
+  const compareVehicles = (vehicleConfigs) => serialize(async () => {
+    if (!state) {
+      throw new Error('Run an analysis before comparing vehicles')
+    }
+
+    // Every candidate is billed on the analysed vehicle's electricity plan, so the cost column and the
+    // tie-break on it compare like with like.
+    const { electricityTariff, customTariff } = state.vehicleConfig
+    const rows = vehicleConfigs.map(candidate => {
+      const vehicleConfig = { ...candidate, electricityTariff, customTariff }
+      const results = scoreTrips(state, vehicleConfig)
+      return {
+        name: vehicleConfig.name,
+        vehicleConfig,
+        feasibilityScore: results.feasibilityScore,
+        chargingFrequency: results.chargingFrequency,
+        problematicTripCount: results.totalTrips - results.feasibleTrips,
+        reserveViolations: results.socSimulation.reserveViolations,
+        publicSessionsPerMonth: results.socSimulation.publicSessionsPerMonth,
+        monthlyChargingCost: results.chargingCost.monthlyCost,
+        currency: results.chargingCost.currency
+      }
+    })
+
+    rows.sort((a, b) =>
+      b.feasibilityScore - a.feasibilityScore ||
+      a.reserveViolations - b.reserveViolations ||
+      a.monthlyChargingCost - b.monthlyChargingCost
+    )
+    return rows.map((row, index) => ({ ...row, rank: index + 1 }))
+  })
+
+  const reset = () => {
+    state = null
+  }
+
+  return {
+    analyze,
+    rescore,
+    compareVehicles,
+    reset
+  }
+}
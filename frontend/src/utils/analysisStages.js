@@ -0,0 +1,23 @@
+export const ANALYSIS_STAGES = {
+  PARSING: 'parsing',
+  CLEANING: 'cleaning',
+  SEGMENTING: 'segmenting',
+  SCORING: 'scoring',
+  SAVING: 'saving'
+}
+
+export class AnalysisStageError extends Error {
+  constructor(stage, cause) {
+    super(`${stage.charAt(0).toUpperCase() + stage.slice(1)} failed: ${cause.message}`)
+    this.name = 'AnalysisStageError'
+    this.stage = stage
+    this.cause = cause
+  }
+}
+
+export class AnalysisCancelledError extends Error {
+  constructor() {
+    super('Analysis was cancelled')
+    this.name = 'AnalysisCancelledError'
+  }
+}
@@ -0,0 +1,64 @@
+export const DEFAULT_DEGRADATION_OPTIONS = {
+  years: [1, 3, 5, 8],
+  // Calendar fade follows the square root of age, calibrated for a pack parked in 59°F (15°C) air.
+  calendarFadePerSqrtYear: 0.03,
+  referenceTemperatureF: 59,
+  // Calendar aging roughly doubles for every 10°C (18°F) warmer the pack sits.
+  doublingTemperatureF: 18,
+  cycleFadePerCycle: 0.00012,
+  minimumCapacity: 0.5,
+  thresholds: [90, 70, 50]
+}
+
+export const calendarAgingFactor = (normalsF, options = {}) => {
+  const { referenceTemperatureF, doublingTemperatureF } = { ...DEFAULT_DEGRADATION_OPTIONS, ...options }
+  if (!normalsF || normalsF.length === 0) return 1
+
+  // Average the rate rather than the temperature, since hot months age the pack disproportionately.
+  const rates = normalsF.map(temperatureF => 2 ** ((temperatureF - referenceTemperatureF) / doublingTemperatureF))
+  return rates.reduce((sum, rate) => sum + rate, 0) / rates.length
+}
+
+export const projectCapacity = (years, cyclesPerYear, agingFactor, options = {}) => {
+  const settings = { ...DEFAULT_DEGRADATION_OPTIONS, ...options }
+  const calendarFade = settings.calendarFadePerSqrtYear * agingFactor * Math.sqrt(years)
+  const cycleFade = settings.cycleFadePerCycle * cyclesPerYear * years
+  return Math.max(settings.minimumCapacity, 1 - calendarFade - cycleFade)
+}
+
+export const degradeVehicleConfig = (vehicleConfig, capacityFraction) => {
+  return {
+    ...vehicleConfig,
+    batteryRange: vehicleConfig.batteryRange * capacityFraction,
+    batteryCapacity: vehicleConfig.batteryCapacity
+      ? vehicleConfig.batteryCapacity * capacityFraction
+      : vehicleConfig.batteryCapacity
+  }
+}
+
+// `evaluate` re-runs feasibility for a vehicle whose battery holds the given fraction of its original capacity.
+export const projectBatteryDegradation = (evaluate, { cyclesPerYear, normalsF, currentScore }, options = {}) => {
+  const settings = { ...DEFAULT_DEGRADATION_OPTIONS, ...options }
+  const agingFactor = calendarAgingFactor(normalsF, settings)
+
+  const projections = settings.years.map(year => {
+    const capacity = projectCapacity(year, cyclesPerYear, agingFactor, settings)
+    return {
+      year,
+      capacityPercent: Math.round(capacity * 100),
+      ...evaluate(capacity)
+    }
+  })
+
+  return {
+    cyclesPerYear: parseFloat(cyclesPerYear.toFixed(1)),
+    calendarAgingFactor: parseFloat(agingFactor.toFixed(2)),
+    projections,
+    thresholdCrossings: settings.thresholds
+      .filter(threshold => currentScore >= threshold)
+      .map(threshold => {
+        const crossing = projections.find(projection => projection.feasibilityScore < threshold)
+        return { threshold, year: crossing ? crossing.year : null }
+      })
+  }
+}
@@ -0,0 +1,52 @@
+import { PLACE_TYPES } from './places.js'
+
+export const CHARGING_PROFILE_IDS = {
+  HOME_L1: 'home-l1',
+  HOME_L2: 'home-l2',
+  WORKPLACE: 'workplace',
+  PUBLIC_ONLY: 'public-only'
+}
+
+export const DEFAULT_CHARGING_PROFILE = CHARGING_PROFILE_IDS.HOME_L2
+
+const NO_CHARGER = { powerKw: 0 }
+
+export const CHARGING_PROFILES = [
+  {
+    id: CHARGING_PROFILE_IDS.HOME_L1,
+    label: 'Home Level 1 (120V outlet)',
+    chargers: {
+      [PLACE_TYPES.HOME]: { powerKw: 1.4 },
+      [PLACE_TYPES.WORK]: NO_CHARGER
+    }
+  },
+  {
+    id: CHARGING_PROFILE_IDS.HOME_L2,
+    label: 'Home Level 2 (240V charger)',
+    chargers: {
+      [PLACE_TYPES.HOME]: { powerKw: 7.2 },
+      [PLACE_TYPES.WORK]: NO_CHARGER
+    }
+  },
+  {
+    id: CHARGING_PROFILE_IDS.WORKPLACE,
+    label: 'Workplace charger only',
+    chargers: {
+      [PLACE_TYPES.HOME]: NO_CHARGER,
+      [PLACE_TYPES.WORK]: { powerKw: 7.2 }
+    }
+  },
+  {
+    id: CHARGING_PROFILE_IDS.PUBLIC_ONLY,
+    label: 'Public charging only',
+    chargers: {
+      [PLACE_TYPES.HOME]: NO_CHARGER,
+      [PLACE_TYPES.WORK]: NO_CHARGER
+    }
+  }
+]
+
+export const getChargingProfile = (id) => {
+  return CHARGING_PROFILES.find(profile => profile.id === id) ||
+    CHARGING_PROFILES.find(profile => profile.id === DEFAULT_CHARGING_PROFILE)
+}
@@ -0,0 +1,168 @@
+import { PLACE_TYPES, findPlace } from './places.js'
+import { DEFAULT_CHARGING_OPTIONS } from './socSimulation.js'
+import { DEFAULT_ENERGY_OPTIONS } from './energyModel.js'
+import { offPeakPrice, tariffPriceAt } from './electricityTariffs.js'
+
+export const DEFAULT_SCHEDULE_OPTIONS = {
+  slotMinutes: 15,
+  // A home stay that runs through this hour counts as an overnight stay.
+  overnightHour: 2
+}
+
+const MAX_REPORTED_SHORTFALLS = 20
+
+const DAYS_PER_MONTH = 30.44
+
+const isOvernight = (start, end, overnightHour) => {
+  const night = new Date(start)
+  night.setHours(overnightHour, 0, 0, 0)
+  if (night < start) night.setDate(night.getDate() + 1)
+  return night < end
+}
+
+const formatClock = (date) => {
+  return `${String(date.getHours()).padStart(2, '0')}:${String(date.getMinutes()).padStart(2, '0')}`
+}
+
+const mostCommon = (values) => {
+  const counts = new Map()
+  for (let value of values) counts.set(value, (counts.get(value) || 0) + 1)
+  return [...counts.entries()].sort((a, b) => b[1] - a[1])[0][0]
+}
+
+const buildSlots = (start, end, tariff, slotMinutes) => {
+  const slots = []
+  for (let time = start.getTime(); time < end.getTime(); time += slotMinutes * 60 * 1000) {
+    const slotStart = new Date(time)
+    slots.push({
+      start: slotStart,
+      hours: Math.min(slotMinutes * 60 * 1000, end.getTime() - time) / 1000 / 60 / 60,
+      price: tariffPriceAt(tariff, slotStart)
+    })
+  }
+  return slots
+}
+
+// Fills the given slots in order until the battery has the energy it needs.
+const fillSlots = (slots, neededKwh, powerKw, chargingEfficiency) => {
+  const used = []
+  let addedKwh = 0
+  let cost = 0
+
+  for (let slot of slots) {
+    if (addedKwh >= neededKwh) break
+    const gridKwh = Math.min(powerKw * slot.hours, (neededKwh - addedKwh) / chargingEfficiency)
+    addedKwh += gridKwh * chargingEfficiency
+    cost += gridKwh * slot.price
+    used.push(slot)
+  }
+
+  return { addedKwh, cost, used }
+}
+
+// Plans overnight home charging against a time-of-use tariff. Daytime charging elsewhere is
+// left out so the result shows what the home charger alone has to deliver.
+export const optimizeChargingSchedule = (trips, params, places, tariff, options = {}) => {
+  const settings = { ...DEFAULT_ENERGY_OPTIONS, ...DEFAULT_CHARGING_OPTIONS, ...DEFAULT_SCHEDULE_OPTIONS, ...options }
+  const charger = { ...DEFAULT_CHARGING_OPTIONS.chargers[PLACE_TYPES.HOME], ...options.charger }
+  const { chargingEfficiency, reserveSoc, slotMinutes } = settings
+  const capacityKwh = params.batteryCapacityKwh
+  const sorted = [...trips].sort((a, b) => a.startTime - b.startTime)
+
+  if (charger.powerKw <= 0 || sorted.length === 0) return null
+
+  const nightIndexes = []
+  sorted.forEach((trip, index) => {
+    const next = sorted[index + 1]
+    if (!next) return
+    const place = findPlace(places, trip.endLocation.lat, trip.endLocation.lng, settings.placeRadiusMeters)
+    if (place && place.type === PLACE_TYPES.HOME && isOvernight(trip.endTime, next.startTime, settings.overnightHour)) {
+      nightIndexes.push(index)
+    }
+  })
+
+  const cheapest = offPeakPrice(tariff)
+  const shortfalls = []
+  const starts = { weekday: [], weekend: [] }
+  const ends = { weekday: [], weekend: [] }
+  let soc = settings.departureSoc
+  let tripIndex = 0
+  let energyKwh = 0
+  let naiveCost = 0
+  let optimizedCost = 0
+
+  nightIndexes.forEach((nightIndex, position) => {
+    for (; tripIndex <= nightIndex; tripIndex++) {
+      soc = Math.max(0, soc - sorted[tripIndex].energyKwh / capacityKwh)
+    }
+
+    const plugIn = sorted[nightIndex].endTime
+    const unplug = sorted[nightIndex + 1].startTime
+    const nextNight = nightIndexes[position + 1] ?? sorted.length - 1
+    const nextDayKwh = sorted
+      .slice(nightIndex + 1, nextNight + 1)
+      .reduce((sum, trip) => sum + trip.energyKwh, 0)
+    const neededKwh = Math.max(0, (charger.targetSoc - soc) * capacityKwh)
+    const slots = buildSlots(plugIn, unplug, tariff, slotMinutes)
+    const naive = fillSlots(slots, neededKwh, charger.powerKw, chargingEfficiency)
+    const optimized = fillSlots(
+      [...slots].sort((a, b) => a.price - b.price || a.start - b.start),
+      neededKwh,
+      charger.powerKw,
+      chargingEfficiency
+    )
+    const offPeak = fillSlots(slots.filter(slot => slot.price === cheapest), neededKwh, charger.powerKw, chargingEfficiency)
+
+    const offPeakMorningSoc = soc + offPeak.addedKwh / capacityKwh
+    const requiredSoc = Math.min(1, reserveSoc + nextDayKwh / capacityKwh)
+    // Only flag mornings the off-peak restriction causes, not ones no amount of home charging could fix.
+    if (offPeakMorningSoc < requiredSoc && offPeak.addedKwh < optimized.addedKwh) {
+      shortfalls.push({
+        date: unplug,
+        morningSoc: Math.round(offPeakMorningSoc * 100),
+        requiredSoc: Math.round(requiredSoc * 100),
+        missingKwh: parseFloat(((requiredSoc - offPeakMorningSoc) * capacityKwh).toFixed(1))
+      })
+    }
+
+    if (optimized.used.length > 0) {
+      const used = [...optimized.used].sort((a, b) => a.start - b.start)
+      const last = used[used.length - 1]
+      const dayType = unplug.getDay() === 0 || unplug.getDay() === 6 ? 'weekend' : 'weekday'
+      starts[dayType].push(formatClock(used[0].start))
+      ends[dayType].push(formatClock(new Date(last.start.getTime() + last.hours * 60 * 60 * 1000)))
+    }
+
+    soc += optimized.addedKwh / capacityKwh
+    energyKwh += optimized.addedKwh / chargingEfficiency
+    naiveCost += naive.cost
+    optimizedCost += optimized.cost
+  })
+
+  const spanDays = (sorted[sorted.length - 1].endTime - sorted[0].startTime) / 1000 / 60 / 60 / 24
+  const months = Math.max(1, spanDays / DAYS_PER_MONTH)
+  const recommendation = (dayType) => starts[dayType].length > 0
+    ? { start: mostCommon(starts[dayType]), end: mostCommon(ends[dayType]), nights: starts[dayType].length }
+    : null
+
+  return {
+    tariffId: tariff.id,
+    currency: tariff.currency,
+    powerKw: charger.powerKw,
+    overnightStays: nightIndexes.length,
+    energyKwh: parseFloat(energyKwh.toFixed(1)),
+    monthlyNaiveCost: parseFloat((naiveCost / months).toFixed(2)),
+    monthlyOptimizedCost: parseFloat((optimizedCost / months).toFixed(2)),
+    monthlySavings: parseFloat(((naiveCost - optimizedCost) / months).toFixed(2)),
+    // What a kWh actually costs when charging follows the schedule; the off-peak rate if nothing was charged.
+    effectivePricePerKwh: parseFloat((energyKwh > 0 ? optimizedCost / energyKwh : cheapest).toFixed(3)),
+    schedule: {
+      weekday: recommendation('weekday'),
+      weekend: recommendation('weekend')
+    },
+    shortfallDays: shortfalls.length,
+    shortfalls: shortfalls
+      .sort((a, b) => b.missingKwh - a.missingKwh)
+      .slice(0, MAX_REPORTED_SHORTFALLS)
+  }
+}
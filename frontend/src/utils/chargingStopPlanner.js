@@ -0,0 +1,180 @@
+import { calculateDistance } from './distance.js'
+import { pointsDuringTrip } from './roadDistance.js'
+import { capacityDerateFactor } from './energyModel.js'
+import { evaluationService } from '../services/evaluationService.js'
+
+export const TRIP_PLAN_STATUS = {
+  INCONVENIENT: 'inconvenient',
+  IMPOSSIBLE: 'impossible',
+  UNAVAILABLE: 'unavailable'
+}
+
+export const DEFAULT_PLANNER_OPTIONS = {
+  departureSoc: 0.9,
+  reserveSoc: 0.1,
+  targetSoc: 0.8,
+  searchRadiusMiles: 10,
+  sampleSpacingMiles: 20,
+  defaultMaxChargingKw: 100,
+  maxStops: 10
+}
+
+// DC fast charging tapers as the pack fills; averaged over a 10-80% session it delivers
+// about three quarters of the peak rate. AC charging stays flat.
+const DC_TAPER_FACTOR = 0.75
+const DC_MIN_KW = 22
+
+const buildRoute = (trip, path) => {
+  const points = path.length >= 2
+    ? path.map(point => ({ latitude: point.latitude, longitude: point.longitude }))
+    : [
+        { latitude: trip.startLocation.lat, longitude: trip.startLocation.lng },
+        { latitude: trip.endLocation.lat, longitude: trip.endLocation.lng }
+      ]
+
+  let measured = 0
+  const route = points.map((point, i) => {
+    if (i > 0) {
+      measured += calculateDistance(points[i - 1].latitude, points[i - 1].longitude, point.latitude, point.longitude)
+    }
+    return { ...point, mile: measured }
+  })
+
+  // Stretch the measured path so mile markers line up with the trip's road distance.
+  const scale = measured > 0 ? trip.distance / measured : 0
+  return route.map(point => ({ ...point, mile: point.mile * scale }))
+}
+
+const positionAt = (route, mile) => {
+  for (let i = 1; i < route.length; i++) {
+    if (route[i].mile >= mile) {
+      const span = route[i].mile - route[i - 1].mile
+      const ratio = span > 0 ? (mile - route[i - 1].mile) / span : 0
+      return {
+        latitude: route[i - 1].latitude + ratio * (route[i].latitude - route[i - 1].latitude),
+        longitude: route[i - 1].longitude + ratio * (route[i].longitude - route[i - 1].longitude)
+      }
+    }
+  }
+  return route[route.length - 1]
+}
+
+export const vehicleMaxChargingKw = (vehicleConfig, params, options = {}) => {
+  if (vehicleConfig.maxChargingSpeedKw) return vehicleConfig.maxChargingSpeedKw
+  if (vehicleConfig.chargingSpeed) return vehicleConfig.chargingSpeed / params.ratedEfficiency
+  return options.defaultMaxChargingKw || DEFAULT_PLANNER_OPTIONS.defaultMaxChargingKw
+}
+
+export const planChargingStops = async (trip, params, vehicleMaxKw, path = [], options = {}) => {
+  const settings = { ...DEFAULT_PLANNER_OPTIONS, ...options }
+  const { reserveSoc, targetSoc, searchRadiusMiles, sampleSpacingMiles, maxStops } = settings
+  const capacityKwh = params.batteryCapacityKwh * capacityDerateFactor(trip.temperatureF ?? 70)
+  const kwhPerMile = trip.energyKwh / trip.distance
+  const averageMph = trip.duration > 0 ? trip.distance / (trip.duration / 60) : 50
+  const route = buildRoute(trip, path)
+  const stationCache = new Map()
+
+  const stationsNear = async (position) => {
+    const key = `${position.latitude.toFixed(2)},${position.longitude.toFixed(2)}`
+    if (!stationCache.has(key)) {
+      const stations = await evaluationService.getChargingStations(position.latitude, position.longitude, searchRadiusMiles)
+      stationCache.set(key, stations.filter(station => station.isOperational !== false && station.maxPowerKw > 0))
+    }
+    return stationCache.get(key)
+  }
+
+  const plan = {
+    tripId: trip.id,
+    startTime: trip.startTime,
+    distance: trip.distance,
+    status: TRIP_PLAN_STATUS.INCONVENIENT,
+    reason: null,
+    stops: [],
+    chargingMinutes: 0,
+    detourMinutes: 0,
+    drivingMinutes: Math.round(trip.duration),
+    totalMinutes: 0
+  }
+
+  let mile = 0
+  let soc = settings.departureSoc
+
+  while (mile + ((soc - reserveSoc) * capacityKwh) / kwhPerMile < trip.distance) {
+    const reachMiles = ((soc - reserveSoc) * capacityKwh) / kwhPerMile
+    if (plan.stops.length >= maxStops) {
+      plan.status = TRIP_PLAN_STATUS.IMPOSSIBLE
+      plan.reason = `Needs more than ${maxStops} charging stops`
+      break
+    }
+
+    let best = null
+    let stationsUnavailable = false
+    for (let sampleMile = mile + reachMiles; sampleMile > mile && !best; sampleMile -= sampleSpacingMiles) {
+      const position = positionAt(route, sampleMile)
+      let stations
+      try {
+        stations = await stationsNear(position)
+      } catch (error) {
+        stationsUnavailable = true
+        plan.reason = `Charging station data is unavailable (${error.message})`
+        break
+      }
+      const candidates = stations
+        .map(station => ({
+          station,
+          atMile: sampleMile,
+          detourMiles: calculateDistance(position.latitude, position.longitude, station.latitude, station.longitude),
+          powerKw: Math.min(station.maxPowerKw, vehicleMaxKw)
+        }))
+        .filter(candidate => candidate.atMile - mile + candidate.detourMiles <= reachMiles)
+        .sort((a, b) => b.powerKw - a.powerKw || a.detourMiles - b.detourMiles)
+      best = candidates[0] || null
+    }
+
+    if (stationsUnavailable) {
+      plan.status = TRIP_PLAN_STATUS.UNAVAILABLE
+      plan.stops = []
+      plan.chargingMinutes = 0
+      plan.detourMinutes = 0
+      break
+    }
+
+    if (!best) {
+      plan.status = TRIP_PLAN_STATUS.IMPOSSIBLE
+      plan.reason = `No reachable charging station within ${Math.round(reachMiles)} miles of mile ${Math.round(mile)}`
+      break
+    }
+
+    const arriveSoc = soc - ((best.atMile - mile + best.detourMiles) * kwhPerMile) / capacityKwh
+    const neededSoc = reserveSoc + ((trip.distance - best.atMile + best.detourMiles) * kwhPerMile) / capacityKwh
+    const departSoc = Math.max(arriveSoc, Math.min(targetSoc, neededSoc))
+    const effectiveKw = best.powerKw >= DC_MIN_KW ? best.powerKw * DC_TAPER_FACTOR : best.powerKw
+    const chargeMinutes = (((departSoc - arriveSoc) * capacityKwh) / effectiveKw) * 60
+    const detourMinutes = ((best.detourMiles * 2) / averageMph) * 60
+
+    plan.stops.push({
+      stationId: best.station.id,
+      name: best.station.name,
+      networkName: best.station.networkName,
+      latitude: best.station.latitude,
+      longitude: best.station.longitude,
+      maxPowerKw: best.station.maxPowerKw,
+      pricing: best.station.pricing || null,
+      atMile: Math.round(best.atMile),
+      arriveSoc: Math.round(arriveSoc * 100),
+      departSoc: Math.round(departSoc * 100),
+      chargeMinutes: Math.round(chargeMinutes)
+    })
+    plan.chargingMinutes += chargeMinutes
+    plan.detourMinutes += detourMinutes
+
+    soc = departSoc - (best.detourMiles * kwhPerMile) / capacityKwh
+    mile = best.atMile
+  }
+
+  plan.chargingMinutes = Math.round(plan.chargingMinutes)
+  plan.detourMinutes = Math.round(plan.detourMinutes)
+  plan.totalMinutes = plan.drivingMinutes + plan.chargingMinutes + plan.detourMinutes
+
+  return plan
+}
@@ -0,0 +1,72 @@
+import { calculateDistance } from './distance.js'
+import { CLIMATE_STATIONS } from '../data/climateNormals.js'
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December'
+]
+
+export const DEFAULT_CLIMATE_OPTIONS = {
+  maxStationMiles: 400,
+  stationCount: 3
+}
+
+const normalsCache = new Map()
+
+// Rough zonal climatology: warm and flat near the equator, colder and more seasonal poleward.
+const latitudeModelNormals = (latitude) => {
+  const absoluteLatitude = Math.abs(latitude)
+  const annualMean = 80 - Math.max(0, absoluteLatitude - 20) * 0.95
+  const amplitude = Math.min(35, Math.max(2, (absoluteLatitude - 10) * 0.6))
+  const coldestMonth = latitude >= 0 ? 0 : 6
+
+  return MONTH_NAMES.map((_, month) => {
+    const phase = ((month - coldestMonth) / 12) * 2 * Math.PI
+    return parseFloat((annualMean - amplitude * Math.cos(phase)).toFixed(1))
+  })
+}
+
+export const monthlyNormalsAt = (latitude, longitude, options = {}) => {
+  const { maxStationMiles, stationCount } = { ...DEFAULT_CLIMATE_OPTIONS, ...options }
+  const key = `${latitude.toFixed(1)},${longitude.toFixed(1)},${maxStationMiles},${stationCount}`
+  if (normalsCache.has(key)) return normalsCache.get(key)
+
+  const nearest = CLIMATE_STATIONS
+    .map(station => ({
+      station,
+      miles: calculateDistance(latitude, longitude, station.latitude, station.longitude)
+    }))
+    .filter(candidate => candidate.miles <= maxStationMiles)
+    .sort((a, b) => a.miles - b.miles)
+    .slice(0, stationCount)
+
+  let normals
+  if (nearest.length === 0) {
+    normals = latitudeModelNormals(latitude)
+  } else {
+    const weights = nearest.map(candidate => 1 / Math.max(candidate.miles, 1) ** 2)
+    const totalWeight = weights.reduce((sum, weight) => sum + weight, 0)
+    normals = MONTH_NAMES.map((_, month) => {
+      const value = nearest.reduce((sum, candidate, i) => sum + candidate.station.normalsF[month] * weights[i], 0)
+      return parseFloat((value / totalWeight).toFixed(1))
+    })
+  }
+
+  normalsCache.set(key, normals)
+  return normals
+}
+
+export const temperatureNormalF = (latitude, longitude, date, options = {}) => {
+  const normals = monthlyNormalsAt(latitude, longitude, options)
+  const month = date.getMonth()
+  const daysInMonth = new Date(date.getFullYear(), month + 1, 0).getDate()
+  const position = (date.getDate() - 0.5) / daysInMonth - 0.5
+
+  // Normals describe mid-month, so blend toward the neighbouring month on either side.
+  const neighbour = position < 0 ? (month + 11) % 12 : (month + 1) % 12
+  return normals[month] + (normals[neighbour] - normals[month]) * Math.abs(position)
+}
+
+export const tripTemperatureF = (trip, options = {}) => {
+  return temperatureNormalF(trip.startLocation.lat, trip.startLocation.lng, trip.startTime, options)
+}
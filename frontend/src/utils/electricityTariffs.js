@@ -0,0 +1,98 @@
+export const TARIFF_IDS = {
+  FLAT: 'flat',
+  CALIFORNIA_EV: 'california-ev',
+  UK_ECONOMY_7: 'uk-economy-7',
+  UK_EV_OVERNIGHT: 'uk-ev-overnight',
+  CUSTOM: 'custom'
+}
+
+export const DEFAULT_TARIFF = TARIFF_IDS.FLAT
+
+const CALIFORNIA_EV_WINDOWS = [
+  { startHour: 0, endHour: 15, price: 0.31 },
+  { startHour: 15, endHour: 16, price: 0.5 },
+  { startHour: 16, endHour: 21, price: 0.62 },
+  { startHour: 21, endHour: 24, price: 0.5 }
+]
+
+const ECONOMY_7_WINDOWS = [
+  { startHour: 0, endHour: 0.5, price: 0.3 },
+  { startHour: 0.5, endHour: 7.5, price: 0.13 },
+  { startHour: 7.5, endHour: 24, price: 0.3 }
+]
+
+const EV_OVERNIGHT_WINDOWS = [
+  { startHour: 0, endHour: 0.5, price: 0.27 },
+  { startHour: 0.5, endHour: 5.5, price: 0.085 },
+  { startHour: 5.5, endHour: 24, price: 0.27 }
+]
+
+// Windows cover a whole day in local time; prices are per kWh in the tariff's currency.
+export const ELECTRICITY_TARIFFS = [
+  {
+    id: TARIFF_IDS.FLAT,
+    label: 'Flat rate',
+    currency: 'USD',
+    weekday: [{ startHour: 0, endHour: 24, price: 0.16 }],
+    weekend: [{ startHour: 0, endHour: 24, price: 0.16 }]
+  },
+  {
+    id: TARIFF_IDS.CALIFORNIA_EV,
+    label: 'California EV time-of-use',
+    currency: 'USD',
+    weekday: CALIFORNIA_EV_WINDOWS,
+    weekend: CALIFORNIA_EV_WINDOWS
+  },
+  {
+    id: TARIFF_IDS.UK_ECONOMY_7,
+    label: 'UK Economy 7',
+    currency: 'GBP',
+    weekday: ECONOMY_7_WINDOWS,
+    weekend: ECONOMY_7_WINDOWS
+  },
+  {
+    id: TARIFF_IDS.UK_EV_OVERNIGHT,
+    label: 'UK EV overnight',
+    currency: 'GBP',
+    weekday: EV_OVERNIGHT_WINDOWS,
+    weekend: EV_OVERNIGHT_WINDOWS
+  }
+]
+
+export const getElectricityTariff = (id) => {
+  return ELECTRICITY_TARIFFS.find(tariff => tariff.id === id) ||
+    ELECTRICITY_TARIFFS.find(tariff => tariff.id === DEFAULT_TARIFF)
+}
+
+// Builds a tariff the user defined, in the same shape as the presets, with each day's windows in time order.
+export const createCustomTariff = ({ currency, weekday, weekend }) => {
+  const byStart = (windows) => [...windows].sort((a, b) => a.startHour - b.startHour)
+  return {
+    id: TARIFF_IDS.CUSTOM,
+    label: 'Custom',
+    currency: currency.trim().toUpperCase(),
+    weekday: byStart(weekday),
+    weekend: byStart(weekend)
+  }
+}
+
+// A vehicle either names a preset tariff or carries the custom one the user entered.
+export const resolveElectricityTariff = (vehicleConfig) => {
+  if (vehicleConfig.electricityTariff === TARIFF_IDS.CUSTOM && vehicleConfig.customTariff) {
+    return vehicleConfig.customTariff
+  }
+  return getElectricityTariff(vehicleConfig.electricityTariff)
+}
+
+const isWeekend = (date) => date.getDay() === 0 || date.getDay() === 6
+
+export const tariffPriceAt = (tariff, date) => {
+  const windows = isWeekend(date) ? tariff.weekend : tariff.weekday
+  const hour = date.getHours() + date.getMinutes() / 60
+  const window = windows.find(candidate => hour >= candidate.startHour && hour < candidate.endHour)
+  return window ? window.price : windows[windows.length - 1].price
+}
+
+export const offPeakPrice = (tariff) => {
+  return Math.min(...[...tariff.weekday, ...tariff.weekend].map(window => window.price))
+}
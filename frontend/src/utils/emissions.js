@@ -0,0 +1,109 @@
+import { GRID_REGIONS, HOURLY_SHAPES, WORLD_AVERAGE_REGION } from '../data/gridIntensity.js'
+import { calculateDistance } from './distance.js'
+import { PLACE_TYPES } from './places.js'
+
+export const GASOLINE_GRAMS_CO2_PER_GALLON = 8887
+
+export const DEFAULT_EMISSIONS_OPTIONS = {
+  gasMpg: 28,
+  maxRegionMiles: 600,
+  chargingEfficiency: 0.9,
+  // Local hours when each kind of charging usually happens; windows may wrap past midnight.
+  chargingHours: {
+    [PLACE_TYPES.HOME]: { start: 22, end: 6 },
+    [PLACE_TYPES.WORK]: { start: 9, end: 17 },
+    [PLACE_TYPES.PUBLIC]: { start: 8, end: 20 }
+  }
+}
+
+export const findGridRegion = (latitude, longitude, maxRegionMiles = DEFAULT_EMISSIONS_OPTIONS.maxRegionMiles) => {
+  let nearest = WORLD_AVERAGE_REGION
+  let nearestMiles = maxRegionMiles
+
+  for (let region of GRID_REGIONS) {
+    const miles = calculateDistance(latitude, longitude, region.latitude, region.longitude)
+    if (miles <= nearestMiles) {
+      nearest = region
+      nearestMiles = miles
+    }
+  }
+
+  return nearest
+}
+
+export const gridIntensityAt = (region, hour) => {
+  const shape = HOURLY_SHAPES[region.shape]
+  const mean = shape.reduce((sum, value) => sum + value, 0) / shape.length
+  return region.averageGramsPerKwh * shape[hour] / mean
+}
+
+const windowIntensity = (region, { start, end }) => {
+  const hours = []
+  for (let hour = start; hour !== end; hour = (hour + 1) % 24) {
+    hours.push(hour)
+  }
+  if (hours.length === 0) return region.averageGramsPerKwh
+  return hours.reduce((sum, hour) => sum + gridIntensityAt(region, hour), 0) / hours.length
+}
+
+const clockHour = (clock) => parseInt(clock.split(':')[0], 10)
+
+export const calculateEmissions = (results, options = {}) => {
+  const chargingHours = { ...DEFAULT_EMISSIONS_OPTIONS.chargingHours, ...options.chargingHours }
+  const settings = { ...DEFAULT_EMISSIONS_OPTIONS, ...options, chargingHours }
+  const region = settings.region || (settings.location
+    ? findGridRegion(settings.location.latitude, settings.location.longitude, settings.maxRegionMiles)
+    : WORLD_AVERAGE_REGION)
+
+  // Home charging follows the recommended overnight schedule when one was worked out.
+  const homeSchedule = results.chargingSchedule && results.chargingSchedule.schedule.weekday
+  if (homeSchedule && !options.chargingHours) {
+    chargingHours[PLACE_TYPES.HOME] = { start: clockHour(homeSchedule.start), end: (clockHour(homeSchedule.end) + 1) % 24 }
+  }
+
+  const simulation = results.socSimulation
+  const months = simulation ? simulation.months : 1
+  const yearlyMiles = (results.monthlyMiles || 0) * 12
+  const chargedKwh = simulation ? simulation.chargedKwh : {}
+  const totalChargedKwh = Object.values(chargedKwh).reduce((sum, kwh) => sum + kwh, 0)
+
+  // Without a charging simulation, assume every mile is charged at home at the rated efficiency.
+  const yearlyBatteryKwh = totalChargedKwh > 0
+    ? Object.fromEntries(Object.entries(chargedKwh).map(([type, kwh]) => [type, kwh * 12 / months]))
+    : { [PLACE_TYPES.HOME]: results.averageEfficiency > 0 ? yearlyMiles / results.averageEfficiency : 0 }
+
+  const byLocation = {}
+  let evGrams = 0
+  let yearlyKwh = 0
+  for (let [type, batteryKwh] of Object.entries(yearlyBatteryKwh)) {
+    const gridKwh = batteryKwh / settings.chargingEfficiency
+    const gramsPerKwh = windowIntensity(region, chargingHours[type] || chargingHours[PLACE_TYPES.PUBLIC])
+    byLocation[type] = {
+      kwh: Math.round(gridKwh),
+      gramsPerKwh: Math.round(gramsPerKwh),
+      kg: Math.round(gridKwh * gramsPerKwh / 1000)
+    }
+    evGrams += gridKwh * gramsPerKwh
+    yearlyKwh += gridKwh
+  }
+
+  const gasGrams = settings.gasMpg > 0 ? (yearlyMiles / settings.gasMpg) * GASOLINE_GRAMS_CO2_PER_GALLON : 0
+
+  return {
+    regionId: region.id,
+    regionName: region.name,
+    yearlyMiles: Math.round(yearlyMiles),
+    yearlyKwh: Math.round(yearlyKwh),
+    gramsPerKwh: yearlyKwh > 0 ? Math.round(evGrams / yearlyKwh) : 0,
+    ev: {
+      yearlyKg: Math.round(evGrams / 1000),
+      byLocation
+    },
+    gas: {
+      mpg: settings.gasMpg,
+      yearlyKg: Math.round(gasGrams / 1000)
+    },
+    yearlySavingsKg: Math.round((gasGrams - evGrams) / 1000),
+    reductionPercent: gasGrams > 0 ? Math.round((1 - evGrams / gasGrams) * 100) : 0
+  }
+}
@@ -0,0 +1,52 @@
+import { PLACE_TYPES } from './places.js'
+
+export const DEFAULT_ENERGY_PRICES = {
+  [PLACE_TYPES.HOME]: 0.16,
+  [PLACE_TYPES.WORK]: 0,
+  [PLACE_TYPES.PUBLIC]: 0.45
+}
+
+// A price is either a flat per-kWh rate or a tariff shaped like `ChargingStation.pricing`.
+export const normalizeTariff = (price = 0) => {
+  const tariff = typeof price === 'number' ? { perKwh: price } : price
+  return {
+    perKwh: tariff.perKwh || 0,
+    perMinute: tariff.perMinute || 0,
+    sessionFee: tariff.sessionFee || 0
+  }
+}
+
+export const tariffFromStations = (stations) => {
+  const priced = stations.filter(station => station.pricing)
+  if (priced.length === 0) return null
+
+  const average = key => priced.reduce((sum, station) => sum + (station.pricing[key] || 0), 0) / priced.length
+  return {
+    perKwh: parseFloat(average('perKwh').toFixed(3)),
+    perMinute: parseFloat(average('perMinute').toFixed(3)),
+    sessionFee: parseFloat(average('sessionFee').toFixed(2))
+  }
+}
+
+export const estimateMonthlyChargingCost = (socSimulation, prices = {}, chargingEfficiency = 0.9) => {
+  const rates = { ...DEFAULT_ENERGY_PRICES, ...prices }
+  const costByType = {}
+  let total = 0
+
+  for (let [type, batteryKwh] of Object.entries(socSimulation.chargedKwh)) {
+    const tariff = normalizeTariff(rates[type])
+    // Chargers bill for energy drawn from the grid, not what reaches the pack.
+    const gridKwh = batteryKwh / chargingEfficiency
+    const charger = socSimulation.chargers && socSimulation.chargers[type]
+    const minutes = charger && charger.powerKw > 0 ? (gridKwh / charger.powerKw) * 60 : 0
+    const sessions = socSimulation.chargingSessions[type] || 0
+    const cost = (gridKwh * tariff.perKwh + minutes * tariff.perMinute + sessions * tariff.sessionFee) / socSimulation.months
+    costByType[type] = parseFloat(cost.toFixed(2))
+    total += cost
+  }
+
+  return {
+    monthlyCost: parseFloat(total.toFixed(2)),
+    costByType
+  }
+}
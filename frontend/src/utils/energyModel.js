@@ -0,0 +1,216 @@
+const GRAVITY = 9.81
+const AIR_DENSITY = 1.2
+const KG_PER_LB = 0.4536
+const METERS_PER_MILE = 1609.344
+const MPH_TO_MPS = 0.44704
+const JOULES_PER_WH = 3600
+const OCCUPANT_KG = 80
+
+export const HIGHWAY_SPEED_MPH = 45
+
+export const TRIP_SOC_STATUS = {
+  OK: 'ok',
+  BELOW_RESERVE: 'below-reserve',
+  EXCEEDS_BATTERY: 'exceeds-battery'
+}
+
+export const DEFAULT_VEHICLE_PARAMETERS = {
+  weightLbs: 4200,
+  dragArea: 0.58,
+  rollingResistance: 0.009,
+  drivetrainEfficiency: 0.88,
+  regenEfficiency: 0.65,
+  auxiliaryKw: 0.3,
+  consumptionCurve: null
+}
+
+export const MILD_TEMPERATURE_F = 70
+
+// Share of usable capacity a pack can deliver once cold-soaked; warm packs give it all.
+export const RANGE_DERATE_CURVE = [
+  { temperatureF: -20, capacityFactor: 0.75 },
+  { temperatureF: 0, capacityFactor: 0.83 },
+  { temperatureF: 20, capacityFactor: 0.91 },
+  { temperatureF: 40, capacityFactor: 0.97 },
+  { temperatureF: 50, capacityFactor: 1 }
+]
+
+export const DEFAULT_ENERGY_OPTIONS = {
+  ambientTemperatureF: null,
+  departureSoc: 0.9,
+  reserveSoc: 0.1,
+  cityStopsPerMile: 1,
+  highwayStopsPerMile: 0.1
+}
+
+// Rated efficiency is quoted for a mixed city/highway cycle at mild temperature, so the
+// model is scaled until it reproduces the rating on that cycle.
+const RATING_CYCLE = [
+  { share: 0.55, speedMph: 25, stopsPerMile: 1 },
+  { share: 0.45, speedMph: 65, stopsPerMile: 0.1 }
+]
+
+const interpolateCurve = (curve, x, xKey, yKey) => {
+  if (x <= curve[0][xKey]) return curve[0][yKey]
+
+  for (let i = 1; i < curve.length; i++) {
+    if (x <= curve[i][xKey]) {
+      const previous = curve[i - 1]
+      const ratio = (x - previous[xKey]) / (curve[i][xKey] - previous[xKey])
+      return previous[yKey] + ratio * (curve[i][yKey] - previous[yKey])
+    }
+  }
+
+  return curve[curve.length - 1][yKey]
+}
+
+export const capacityDerateFactor = (temperatureF) => {
+  return interpolateCurve(RANGE_DERATE_CURVE, temperatureF, 'temperatureF', 'capacityFactor')
+}
+
+const tractionWhPerMile = (speedMph, params) => {
+  if (params.consumptionCurve) {
+    return interpolateCurve(params.consumptionCurve, speedMph, 'speedMph', 'whPerMile')
+  }
+
+  const speed = speedMph * MPH_TO_MPS
+  const force = params.rollingResistance * params.massKg * GRAVITY +
+    0.5 * AIR_DENSITY * params.dragArea * speed * speed
+  return force * METERS_PER_MILE / params.drivetrainEfficiency / JOULES_PER_WH
+}
+
+const stopWh = (speedMph, params) => {
+  const speed = speedMph * MPH_TO_MPS
+  const kineticJoules = 0.5 * params.massKg * speed * speed
+  return kineticJoules * (1 - params.regenEfficiency) / params.drivetrainEfficiency / JOULES_PER_WH
+}
+
+const climateKw = (temperatureF) => {
+  const heating = Math.max(0, 60 - temperatureF) * 0.06
+  const cooling = Math.max(0, temperatureF - 80) * 0.08
+  return heating + cooling
+}
+
+// Cold cells have higher internal resistance, costing a few percent per 10°F below 50°F.
+const coldBatteryFactor = (temperatureF) => {
+  return 1 + Math.max(0, 50 - temperatureF) * 0.004
+}
+
+const ratingCycleWhPerMile = (params) => {
+  return RATING_CYCLE.reduce((sum, leg) => {
+    const perMile = tractionWhPerMile(leg.speedMph, params) +
+      leg.stopsPerMile * stopWh(leg.speedMph, params) +
+      params.auxiliaryKw * 1000 / leg.speedMph
+    return sum + leg.share * perMile
+  }, 0)
+}
+
+export const resolveVehicleParameters = (vehicleConfig) => {
+  const params = { ...DEFAULT_VEHICLE_PARAMETERS }
+  for (let key of Object.keys(DEFAULT_VEHICLE_PARAMETERS)) {
+    if (vehicleConfig[key] !== undefined && vehicleConfig[key] !== null && vehicleConfig[key] !== '') {
+      params[key] = vehicleConfig[key]
+    }
+  }
+  // The vehicle form collects regen efficiency as a percentage.
+  if (typeof vehicleConfig.regenEfficiency === 'number') {
+    params.regenEfficiency = vehicleConfig.regenEfficiency / 100
+  }
+  if (params.consumptionCurve) {
+    params.consumptionCurve = [...params.consumptionCurve].sort((a, b) => a.speedMph - b.speedMph)
+  }
+  params.massKg = params.weightLbs * KG_PER_LB + OCCUPANT_KG
+
+  const modelWhPerMile = ratingCycleWhPerMile(params)
+  const ratedEfficiency = vehicleConfig.efficiency ||
+    (vehicleConfig.batteryCapacity ? vehicleConfig.batteryRange / vehicleConfig.batteryCapacity : null)
+
+  params.motionScale = ratedEfficiency && !params.consumptionCurve
+    ? (1000 / ratedEfficiency) / modelWhPerMile
+    : 1
+  params.ratedEfficiency = ratedEfficiency || 1000 / (modelWhPerMile * params.motionScale)
+  params.batteryCapacityKwh = vehicleConfig.batteryCapacity ||
+    vehicleConfig.batteryRange / params.ratedEfficiency
+
+  return params
+}
+
+const drivingLegs = (trip) => {
+  const profile = trip.speedProfile
+  const profiledMiles = profile ? profile.cityMiles + profile.highwayMiles : 0
+  if (profiledMiles > 0) {
+    // Map matching can revise the distance after the profile was measured.
+    const scale = trip.distance / profiledMiles
+    return [
+      { miles: profile.cityMiles * scale, speedMph: profile.cityAverageMph, highway: false },
+      { miles: profile.highwayMiles * scale, speedMph: profile.highwayAverageMph, highway: true }
+    ].filter(leg => leg.miles > 0 && leg.speedMph > 0)
+  }
+
+  const averageSpeed = trip.duration > 0 ? trip.distance / (trip.duration / 60) : 30
+  return [{ miles: trip.distance, speedMph: averageSpeed, highway: averageSpeed >= HIGHWAY_SPEED_MPH }]
+}
+
+export const estimateTripEnergy = (trip, params, options = {}) => {
+  const settings = { ...DEFAULT_ENERGY_OPTIONS, ...options }
+  const temperatureF = typeof settings.ambientTemperatureF === 'function'
+    ? settings.ambientTemperatureF(trip)
+    : settings.ambientTemperatureF ?? MILD_TEMPERATURE_F
+  const legs = drivingLegs(trip)
+  const cityMiles = legs.filter(leg => !leg.highway).reduce((sum, leg) => sum + leg.miles, 0)
+  const highwayMiles = trip.distance - cityMiles
+
+  const stops = trip.speedProfile && trip.speedProfile.stops !== null && trip.speedProfile.stops !== undefined
+    ? trip.speedProfile.stops
+    : cityMiles * settings.cityStopsPerMile + highwayMiles * settings.highwayStopsPerMile
+  const stopSpeed = legs.find(leg => !leg.highway)?.speedMph || legs[0]?.speedMph || 0
+
+  const motionWh = legs.reduce((sum, leg) => sum + leg.miles * tractionWhPerMile(leg.speedMph, params), 0) *
+    params.motionScale * coldBatteryFactor(temperatureF)
+  const stopsWh = stops * stopWh(stopSpeed, params) * params.motionScale
+
+  const weight = params.massKg * GRAVITY / JOULES_PER_WH
+  const elevationWh = (trip.elevationGainMeters || 0) * weight / params.drivetrainEfficiency -
+    (trip.elevationLossMeters || 0) * weight * params.regenEfficiency * params.drivetrainEfficiency
+
+  const hours = trip.duration / 60
+  const auxiliaryWh = (params.auxiliaryKw + climateKw(temperatureF)) * 1000 * hours
+
+  const totalWh = Math.max(0, motionWh + stopsWh + elevationWh + auxiliaryWh)
+
+  return {
+    energyKwh: totalWh / 1000,
+    temperatureF,
+    breakdown: {
+      motionKwh: motionWh / 1000,
+      stopsKwh: stopsWh / 1000,
+      elevationKwh: elevationWh / 1000,
+      auxiliaryKwh: auxiliaryWh / 1000
+    }
+  }
+}
+
+export const evaluateTripSoc = (energyKwh, params, options = {}) => {
+  const { departureSoc, reserveSoc, capacityFactor = 1 } = { ...DEFAULT_ENERGY_OPTIONS, ...options }
+  const capacityKwh = params.batteryCapacityKwh * capacityFactor
+  const arrivalSoc = departureSoc - energyKwh / capacityKwh
+
+  let status = TRIP_SOC_STATUS.OK
+  if (energyKwh > capacityKwh) {
+    status = TRIP_SOC_STATUS.EXCEEDS_BATTERY
+  } else if (arrivalSoc < reserveSoc) {
+    status = TRIP_SOC_STATUS.BELOW_RESERVE
+  }
+
+  return { arrivalSoc, status }
+}
+
+export const scoreTrip = (trip, params, options, temperatureF) => {
+  const { energyKwh } = estimateTripEnergy(trip, params, { ...options, ambientTemperatureF: temperatureF })
+  const { arrivalSoc, status } = evaluateTripSoc(energyKwh, params, {
+    ...options,
+    capacityFactor: capacityDerateFactor(temperatureF)
+  })
+
+  return { energyKwh, arrivalSoc, status, temperatureF }
+}
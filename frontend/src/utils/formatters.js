@@ -69,6 +69,13 @@ export const formatCurrency = (amount, currency = 'USD') => {
   }).format(amount)
 }
 
+export const formatCurrencySymbol = (currency = 'USD') => {
+  return new Intl.NumberFormat('en-US', {
+    style: 'currency',
+    currency: currency
+  }).formatToParts(0).find(part => part.type === 'currency').value
+}
+
 export const formatPercentage = (value, decimals = 0) => {
   return new Intl.NumberFormat('en-US', {
     style: 'percent',
@@ -0,0 +1,111 @@
+import { calculateDistance } from './distance.js'
+
+export const DEFAULT_CLEANING_OPTIONS = {
+  maxAccuracyMeters: 100,
+  maxSpeedMph: 120,
+  stationaryRadiusMeters: 50,
+  minStationaryMinutes: 3
+}
+
+const distanceMeters = (a, b) => {
+  return calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude, 'km') * 1000
+}
+
+const speedMph = (a, b) => {
+  const hours = Math.max(Math.abs(b.timestamp - a.timestamp), 1000) / 1000 / 3600
+  return calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude) / hours
+}
+
+const removeInaccurate = (points, { maxAccuracyMeters }) => {
+  return points.filter(point => point.accuracy === null || point.accuracy === undefined || point.accuracy <= maxAccuracyMeters)
+}
+
+// A spike is a fix that is reached and left at an impossible speed while its
+// neighbours stay close together, which is how Wi-Fi and cell "teleports" look.
+const removeSpeedSpikes = (points, { maxSpeedMph }) => {
+  const kept = []
+
+  for (let i = 0; i < points.length; i++) {
+    const previous = kept[kept.length - 1]
+    const point = points[i]
+    const next = points[i + 1]
+
+    if (previous && next) {
+      const isSpike = speedMph(previous, point) > maxSpeedMph &&
+        speedMph(point, next) > maxSpeedMph &&
+        distanceMeters(previous, next) < distanceMeters(previous, point) / 2
+
+      if (isSpike) continue
+    }
+
+    kept.push(point)
+  }
+
+  return kept
+}
+
+const collapseCluster = (cluster) => {
+  const latitude = cluster.reduce((sum, point) => sum + point.latitude, 0) / cluster.length
+  const longitude = cluster.reduce((sum, point) => sum + point.longitude, 0) / cluster.length
+  const first = cluster[0]
+  const last = cluster[cluster.length - 1]
+
+  return [
+    { ...first, latitude, longitude },
+    { ...last, latitude, longitude }
+  ]
+}
+
+const collapseStationaryClusters = (points, { stationaryRadiusMeters, minStationaryMinutes }) => {
+  const minDurationMs = minStationaryMinutes * 60 * 1000
+  const result = []
+  let cluster = []
+
+  const flushCluster = () => {
+    const duration = cluster.length > 0 ? cluster[cluster.length - 1].timestamp - cluster[0].timestamp : 0
+    if (cluster.length > 2 && duration >= minDurationMs) {
+      result.push(...collapseCluster(cluster))
+    } else {
+      result.push(...cluster)
+    }
+    cluster = []
+  }
+
+  for (let point of points) {
+    if (cluster.length > 0 && distanceMeters(cluster[0], point) > stationaryRadiusMeters) {
+      flushCluster()
+    }
+    cluster.push(point)
+  }
+  flushCluster()
+
+  return result
+}
+
+export const CLEANING_STEPS = [
+  { id: 'accuracy', label: 'Low-accuracy fixes', run: removeInaccurate },
+  { id: 'speed', label: 'Impossible-speed jumps', run: removeSpeedSpikes },
+  { id: 'stationary', label: 'Stationary jitter', run: collapseStationaryClusters }
+]
+
+export const cleanLocationPoints = (points, options = {}) => {
+  const settings = { ...DEFAULT_CLEANING_OPTIONS, ...options }
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp)
+  const steps = []
+
+  let current = sorted
+  for (let step of CLEANING_STEPS) {
+    const next = step.run(current, settings)
+    steps.push({ id: step.id, label: step.label, removed: current.length - next.length })
+    current = next
+  }
+
+  return {
+    points: current,
+    report: {
+      inputPoints: points.length,
+      outputPoints: current.length,
+      steps
+    }
+  }
+}
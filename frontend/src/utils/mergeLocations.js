@@ -0,0 +1,168 @@
+import { calculateDistance } from './distance.js'
+
+export const DEFAULT_MERGE_OPTIONS = {
+  timeToleranceSeconds: 30,
+  distanceToleranceMeters: 25,
+  tripOverlapRatio: 0.5
+}
+
+const distanceMeters = (a, b) => {
+  return calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude, 'km') * 1000
+}
+
+const dedupePoints = (points, { timeToleranceSeconds, distanceToleranceMeters }) => {
+  const toleranceMs = timeToleranceSeconds * 1000
+  const kept = []
+  const dropped = []
+  let windowStart = 0
+
+  for (let point of points) {
+    while (windowStart < kept.length && point.timestamp - kept[windowStart].timestamp > toleranceMs) {
+      windowStart++
+    }
+
+    let isDuplicate = false
+    for (let i = windowStart; i < kept.length; i++) {
+      const comparable = kept[i].sourceFile !== point.sourceFile || kept[i].timestamp - point.timestamp === 0
+      if (comparable && distanceMeters(kept[i], point) <= distanceToleranceMeters) {
+        isDuplicate = true
+        break
+      }
+    }
+
+    if (isDuplicate) {
+      dropped.push(point)
+    } else {
+      kept.push(point)
+    }
+  }
+
+  return { kept, dropped }
+}
+
+const overlapRatio = (a, b) => {
+  const overlap = Math.min(a.endTime, b.endTime) - Math.max(a.startTime, b.startTime)
+  const shorter = Math.min(a.endTime - a.startTime, b.endTime - b.startTime)
+  if (overlap < 0) return 0
+  return shorter > 0 ? overlap / shorter : 1
+}
+
+const dedupeTrips = (trips, { tripOverlapRatio }) => {
+  const kept = []
+  const dropped = []
+  let active = []
+
+  for (let trip of trips) {
+    // Trips arrive sorted by start, so a kept trip that ended before this one starts cannot overlap any later trip.
+    active = active.filter(other => other.endTime >= trip.startTime)
+    const isDuplicate = active.some(other =>
+      other.sourceFile !== trip.sourceFile && overlapRatio(other, trip) >= tripOverlapRatio
+    )
+
+    if (isDuplicate) {
+      dropped.push(trip)
+    } else {
+      kept.push(trip)
+      active.push(trip)
+    }
+  }
+
+  return { kept, dropped }
+}
+
+// Merged time ranges that already have a segmented trip, so the raw points inside them are not turned into trips again.
+export const tripCoverage = (trips) => {
+  const ranges = []
+
+  for (let trip of [...trips].sort((a, b) => a.startTime - b.startTime)) {
+    const last = ranges[ranges.length - 1]
+    if (last && trip.startTime <= last.endTime) {
+      if (trip.endTime > last.endTime) last.endTime = trip.endTime
+    } else {
+      ranges.push({ startTime: trip.startTime, endTime: trip.endTime })
+    }
+  }
+
+  return ranges
+}
+
+// Splits sorted points into runs that fall between covered ranges. Each run is segmented on its own so a
+// stay before a covered trip is never joined to the stay after it.
+export const splitOutsideCoverage = (points, coverage) => {
+  const runs = []
+  let current = []
+  let rangeIndex = 0
+  let runRangeIndex = -1
+
+  for (let point of points) {
+    while (rangeIndex < coverage.length && coverage[rangeIndex].endTime < point.timestamp) {
+      rangeIndex++
+    }
+
+    const range = coverage[rangeIndex]
+    if (range && point.timestamp >= range.startTime) continue
+
+    if (rangeIndex !== runRangeIndex && current.length > 0) {
+      runs.push(current)
+      current = []
+    }
+    runRangeIndex = rangeIndex
+    current.push(point)
+  }
+  if (current.length > 0) runs.push(current)
+
+  return runs
+}
+
+const countBySource = (items) => {
+  const counts = new Map()
+  for (let item of items) {
+    counts.set(item.sourceFile, (counts.get(item.sourceFile) || 0) + 1)
+  }
+  return counts
+}
+
+export const mergeLocationSources = (sources, options = {}) => {
+  const settings = { ...DEFAULT_MERGE_OPTIONS, ...options }
+  const allPoints = []
+  const allTrips = []
+
+  for (let source of sources) {
+    for (let point of source.points) {
+      allPoints.push({ ...point, sourceFile: source.name })
+    }
+    for (let trip of source.trips) {
+      allTrips.push({ ...trip, sourceFile: source.name })
+    }
+  }
+
+  allPoints.sort((a, b) => a.timestamp - b.timestamp)
+  allTrips.sort((a, b) => a.startTime - b.startTime)
+
+  const points = dedupePoints(allPoints, settings)
+  const trips = dedupeTrips(allTrips, settings)
+  const droppedPointsBySource = countBySource(points.dropped)
+  const droppedTripsBySource = countBySource(trips.dropped)
+
+  return {
+    points: points.kept,
+    trips: trips.kept,
+    coverage: tripCoverage(trips.kept),
+    report: {
+      sources: sources.map(source => {
+        const droppedPoints = droppedPointsBySource.get(source.name) || 0
+        const droppedTrips = droppedTripsBySource.get(source.name) || 0
+        return {
+          name: source.name,
+          totalPoints: source.points.length,
+          contributedPoints: source.points.length - droppedPoints,
+          droppedPoints,
+          totalTrips: source.trips.length,
+          droppedTrips
+        }
+      }),
+      droppedPoints: points.dropped.length,
+      droppedTrips: trips.dropped.length
+    }
+  }
+}
@@ -0,0 +1,67 @@
+import { estimateMonthlyChargingCost } from './energyCost.js'
+
+export const DEFAULT_OWNERSHIP_OPTIONS = {
+  gasMpg: 28,
+  gasPricePerGallon: 3.5,
+  gasMaintenancePerMile: 0.1,
+  evMaintenancePerMile: 0.06,
+  evPurchasePrice: 45000,
+  currentVehicleValue: 15000,
+  incentives: 7500,
+  years: 8,
+  chargingEfficiency: 0.9
+}
+
+const roundCurrency = (amount) => parseFloat(amount.toFixed(2))
+
+const monthlyCost = (energy, maintenance) => ({
+  energy: roundCurrency(energy),
+  maintenance: roundCurrency(maintenance),
+  total: roundCurrency(energy + maintenance)
+})
+
+export const calculateOwnershipCost = (results, prices = {}, options = {}) => {
+  const settings = { ...DEFAULT_OWNERSHIP_OPTIONS, ...options }
+  const miles = results.monthlyMiles || 0
+  const electricity = estimateMonthlyChargingCost(results.socSimulation, prices, settings.chargingEfficiency)
+
+  const ev = monthlyCost(electricity.monthlyCost, miles * settings.evMaintenancePerMile)
+  const gas = monthlyCost(
+    settings.gasMpg > 0 ? (miles / settings.gasMpg) * settings.gasPricePerGallon : 0,
+    miles * settings.gasMaintenancePerMile
+  )
+  const monthlySavings = gas.total - ev.total
+
+  // Switching costs the new car's price, less incentives and what the current car sells for.
+  const upfrontCost = Math.max(0, settings.evPurchasePrice - settings.incentives - settings.currentVehicleValue)
+  // Without monthly savings the switch never pays for itself, even when it costs nothing upfront.
+  let breakEvenMonths = null
+  if (monthlySavings > 0) {
+    breakEvenMonths = upfrontCost === 0 ? 0 : Math.ceil(upfrontCost / monthlySavings)
+  }
+
+  const yearly = []
+  for (let year = 1; year <= settings.years; year++) {
+    const evCost = upfrontCost + ev.total * 12 * year
+    const gasCost = gas.total * 12 * year
+    yearly.push({
+      year,
+      evCost: roundCurrency(evCost),
+      gasCost: roundCurrency(gasCost),
+      savings: roundCurrency(gasCost - evCost)
+    })
+  }
+
+  return {
+    monthlyMiles: miles,
+    monthly: {
+      ev,
+      gas,
+      savings: roundCurrency(monthlySavings)
+    },
+    electricityByType: electricity.costByType,
+    upfrontCost: roundCurrency(upfrontCost),
+    breakEvenMonths,
+    yearly
+  }
+}
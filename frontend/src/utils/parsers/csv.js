@@ -0,0 +1,320 @@
+const DEFAULT_BATCH_SIZE = 5000
+export const CSV_SAMPLE_BYTES = 64 * 1024
+const QUOTE = '"'
+const CANDIDATE_DELIMITERS = [',', ';', '\t', '|']
+
+export const TIMESTAMP_FORMATS = {
+  ISO: 'iso',
+  DAY_MONTH_YEAR: 'dmy',
+  MONTH_DAY_YEAR: 'mdy',
+  EPOCH_SECONDS: 'epochSeconds',
+  EPOCH_MILLISECONDS: 'epochMilliseconds'
+}
+
+export const SPEED_UNITS = {
+  METERS_PER_SECOND: 'mps',
+  KILOMETERS_PER_HOUR: 'kmh',
+  MILES_PER_HOUR: 'mph'
+}
+
+const SPEED_TO_METERS_PER_SECOND = {
+  mps: 1,
+  kmh: 1 / 3.6,
+  mph: 0.44704
+}
+
+const COLUMN_KEYWORDS = {
+  latitude: ['lat', 'latitude'],
+  longitude: ['lng', 'lon', 'long', 'longitude'],
+  timestamp: ['timestamp', 'time', 'datetime', 'date', 'utc'],
+  accuracy: ['accuracy', 'acc', 'precision', 'hacc'],
+  speed: ['speed', 'velocity']
+}
+
+// RFC 4180 tokenizer: quoted fields may contain delimiters, doubled quotes and line breaks.
+export const createCsvTokenizer = (delimiter, onRow) => {
+  let field = ''
+  let row = []
+  let inQuotes = false
+  let quotePending = false
+  let skipLineFeed = false
+
+  const endField = () => {
+    row.push(field)
+    field = ''
+  }
+
+  const endRow = () => {
+    endField()
+    onRow(row)
+    row = []
+  }
+
+  const write = (chunk) => {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i]
+
+      if (skipLineFeed) {
+        skipLineFeed = false
+        if (char === '\n') continue
+      }
+
+      if (quotePending) {
+        quotePending = false
+        if (char === QUOTE) {
+          field += QUOTE
+          continue
+        }
+        inQuotes = false
+      }
+
+      if (inQuotes) {
+        if (char === QUOTE) {
+          quotePending = true
+        } else {
+          field += char
+        }
+        continue
+      }
+
+      if (char === QUOTE && field === '') {
+        inQuotes = true
+      } else if (char === delimiter) {
+        endField()
+      } else if (char === '\r') {
+        endRow()
+        skipLineFeed = true
+      } else if (char === '\n') {
+        endRow()
+      } else {
+        field += char
+      }
+    }
+  }
+
+  const end = () => {
+    if (field !== '' || row.length > 0) {
+      endRow()
+    }
+  }
+
+  return { write, end }
+}
+
+export const tokenizeCsv = (text, delimiter) => {
+  const rows = []
+  const tokenizer = createCsvTokenizer(delimiter, row => rows.push(row))
+  tokenizer.write(text)
+  tokenizer.end()
+  return rows
+}
+
+const isBlankRow = (row) => row.every(value => value.trim() === '')
+
+export const sniffDelimiter = (sampleText) => {
+  const sample = sampleText.slice(0, sampleText.lastIndexOf('\n') + 1 || sampleText.length)
+
+  const scored = CANDIDATE_DELIMITERS.map(delimiter => {
+    const rows = tokenizeCsv(sample, delimiter).filter(row => !isBlankRow(row)).slice(0, 20)
+    const widths = rows.map(row => row.length)
+    const width = widths[0] || 0
+    const consistent = widths.filter(count => count === width).length
+
+    return { delimiter, score: width > 1 ? consistent * width : 0 }
+  })
+
+  const best = scored.reduce((a, b) => (b.score > a.score ? b : a))
+  return best.score > 0 ? best.delimiter : ','
+}
+
+const headerWords = (header) => {
+  return header
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+}
+
+export const suggestColumnMapping = (headers) => {
+  const words = headers.map(headerWords)
+  const used = new Set()
+
+  const findColumn = (keywords) => {
+    const index = words.findIndex((headerWordList, i) =>
+      !used.has(i) && headerWordList.some(word => keywords.includes(word))
+    )
+    if (index !== -1) used.add(index)
+    return index
+  }
+
+  return Object.fromEntries(
+    Object.entries(COLUMN_KEYWORDS).map(([column, keywords]) => [column, findColumn(keywords)])
+  )
+}
+
+export const suggestTimestampFormat = (values) => {
+  const samples = values.map(value => value.trim()).filter(Boolean).slice(0, 20)
+  if (samples.length === 0) return TIMESTAMP_FORMATS.ISO
+
+  if (samples.every(value => /^\d+(\.\d+)?$/.test(value))) {
+    return samples.every(value => parseFloat(value) >= 1e11)
+      ? TIMESTAMP_FORMATS.EPOCH_MILLISECONDS
+      : TIMESTAMP_FORMATS.EPOCH_SECONDS
+  }
+
+  const dayFirst = samples.map(value => value.match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})/)).filter(Boolean)
+  if (dayFirst.length > 0) {
+    const firstOver12 = dayFirst.some(match => parseInt(match[1]) > 12)
+    const secondOver12 = dayFirst.some(match => parseInt(match[2]) > 12)
+    if (secondOver12 && !firstOver12) return TIMESTAMP_FORMATS.MONTH_DAY_YEAR
+    return TIMESTAMP_FORMATS.DAY_MONTH_YEAR
+  }
+
+  return TIMESTAMP_FORMATS.ISO
+}
+
+const parseNumber = (value, delimiter) => {
+  if (value === undefined) return NaN
+  const normalized = delimiter !== ',' ? value.trim().replace(',', '.') : value.trim()
+  return normalized === '' ? NaN : Number(normalized)
+}
+
+const parseDayMonthTimestamp = (value, dayFirst) => {
+  const match = value.trim().match(/^(\d{1,2})[./-](\d{1,2})[./-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/)
+  if (!match) return new Date(NaN)
+
+  const [, first, second, yearText, hours = '0', minutes = '0', seconds = '0'] = match
+  const year = yearText.length === 2 ? 2000 + parseInt(yearText) : parseInt(yearText)
+  const day = parseInt(dayFirst ? first : second)
+  const month = parseInt(dayFirst ? second : first)
+
+  return new Date(year, month - 1, day, parseInt(hours), parseInt(minutes), parseInt(seconds))
+}
+
+export const parseTimestamp = (value, format) => {
+  if (value === undefined || value.trim() === '') return new Date(NaN)
+
+  switch (format) {
+    case TIMESTAMP_FORMATS.EPOCH_SECONDS:
+      return new Date(parseFloat(value) * 1000)
+    case TIMESTAMP_FORMATS.EPOCH_MILLISECONDS:
+      return new Date(parseFloat(value))
+    case TIMESTAMP_FORMATS.DAY_MONTH_YEAR:
+      return parseDayMonthTimestamp(value, true)
+    case TIMESTAMP_FORMATS.MONTH_DAY_YEAR:
+      return parseDayMonthTimestamp(value, false)
+    default:
+      return new Date(value.trim())
+  }
+}
+
+export const rowToPoint = (row, mapping) => {
+  const { columns, delimiter, timestampFormat, speedUnit = SPEED_UNITS.METERS_PER_SECOND } = mapping
+  const accuracy = columns.accuracy !== -1 ? parseNumber(row[columns.accuracy], delimiter) : NaN
+  const speed = columns.speed !== -1 ? parseNumber(row[columns.speed], delimiter) : NaN
+
+  return {
+    timestamp: parseTimestamp(row[columns.timestamp], timestampFormat),
+    latitude: parseNumber(row[columns.latitude], delimiter),
+    longitude: parseNumber(row[columns.longitude], delimiter),
+    accuracy: isNaN(accuracy) ? null : accuracy,
+    speed: isNaN(speed) ? null : speed * SPEED_TO_METERS_PER_SECOND[speedUnit]
+  }
+}
+
+export const isValidCsvPoint = (point) => {
+  return !isNaN(point.timestamp) && !isNaN(point.latitude) && !isNaN(point.longitude)
+}
+
+export const validateCsvMapping = (mapping) => {
+  const { latitude, longitude, timestamp } = mapping.columns
+  if (latitude === -1 || longitude === -1 || timestamp === -1) {
+    throw new Error('CSV must contain latitude, longitude and timestamp columns')
+  }
+}
+
+export const previewCsv = (sampleText, delimiter = sniffDelimiter(sampleText), rowLimit = 5) => {
+  const complete = sampleText.slice(0, sampleText.lastIndexOf('\n') + 1 || sampleText.length)
+  const rows = tokenizeCsv(complete, delimiter).filter(row => !isBlankRow(row))
+  const headers = rows[0] || []
+  const dataRows = rows.slice(1)
+  const columns = suggestColumnMapping(headers)
+
+  return {
+    delimiter,
+    headers,
+    rows: dataRows.slice(0, rowLimit),
+    suggestedMapping: {
+      delimiter,
+      columns,
+      timestampFormat: suggestTimestampFormat(
+        columns.timestamp !== -1 ? dataRows.map(row => row[columns.timestamp] || '') : []
+      ),
+      speedUnit: SPEED_UNITS.METERS_PER_SECOND
+    }
+  }
+}
+
+export const createCsvLocationStream = (onBatch, mapping = null, batchSize = DEFAULT_BATCH_SIZE) => {
+  let activeMapping = mapping
+  let tokenizer = null
+  let buffered = ''
+  let headerSkipped = false
+  let pending = []
+
+  const flush = () => {
+    if (pending.length === 0) return
+    onBatch({ points: pending, trips: [] })
+    pending = []
+  }
+
+  const handleRow = (row) => {
+    if (isBlankRow(row)) return
+
+    if (!headerSkipped) {
+      headerSkipped = true
+      return
+    }
+
+    const point = rowToPoint(row, activeMapping)
+    if (!isValidCsvPoint(point)) return
+
+    pending.push(point)
+    if (pending.length >= batchSize) flush()
+  }
+
+  const start = (text) => {
+    activeMapping = activeMapping || previewCsv(text).suggestedMapping
+    validateCsvMapping(activeMapping)
+
+    tokenizer = createCsvTokenizer(activeMapping.delimiter, handleRow)
+    tokenizer.write(text)
+  }
+
+  const write = (chunk) => {
+    if (tokenizer) {
+      tokenizer.write(chunk)
+      return
+    }
+
+    buffered += chunk
+    if (activeMapping || buffered.length >= CSV_SAMPLE_BYTES) {
+      start(buffered)
+      buffered = ''
+    }
+  }
+
+  const end = () => {
+    if (!tokenizer) {
+      if (!buffered.trim()) {
+        throw new Error('CSV file is empty')
+      }
+      start(buffered)
+    }
+
+    tokenizer.end()
+    flush()
+  }
+
+  return { write, end }
+}
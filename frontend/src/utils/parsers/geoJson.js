@@ -0,0 +1,85 @@
+const GEOJSON_TYPES = ['FeatureCollection', 'Feature', 'Point', 'MultiPoint', 'LineString', 'MultiLineString']
+const TIME_PROPERTIES = ['time', 'timestamp', 'datetime', 'date']
+const TIME_ARRAY_PROPERTIES = ['coordTimes', 'times', 'timestamps']
+
+const parseTime = (value) => {
+  if (value === undefined || value === null || value === '') return null
+
+  if (typeof value === 'number') {
+    return new Date(value < 1e12 ? value * 1000 : value)
+  }
+
+  const date = new Date(value)
+  return isNaN(date) ? null : date
+}
+
+const findProperty = (properties, names) => {
+  const name = names.find(key => properties[key] !== undefined)
+  return name ? properties[name] : undefined
+}
+
+const toPoint = (coordinate, timestamp, properties) => ({
+  timestamp,
+  latitude: coordinate[1],
+  longitude: coordinate[0],
+  accuracy: properties.accuracy ?? null,
+  altitude: coordinate.length > 2 ? coordinate[2] : null
+})
+
+const parseLine = (coordinates, times, properties) => {
+  return coordinates
+    .map((coordinate, index) => {
+      const timestamp = parseTime(times?.[index] ?? coordinate[3])
+      return timestamp ? toPoint(coordinate, timestamp, properties) : null
+    })
+    .filter(Boolean)
+}
+
+const parseGeometry = (geometry, properties) => {
+  if (!geometry) return []
+
+  const times = findProperty(properties, TIME_ARRAY_PROPERTIES)
+
+  switch (geometry.type) {
+    case 'Point': {
+      const timestamp = parseTime(findProperty(properties, TIME_PROPERTIES) ?? geometry.coordinates[3])
+      return timestamp ? [toPoint(geometry.coordinates, timestamp, properties)] : []
+    }
+    case 'MultiPoint':
+    case 'LineString':
+      return parseLine(geometry.coordinates, times, properties)
+    case 'MultiLineString':
+      return geometry.coordinates.flatMap((line, index) =>
+        parseLine(line, Array.isArray(times?.[index]) ? times[index] : null, properties)
+      )
+    default:
+      return []
+  }
+}
+
+const getFeatures = (data) => {
+  if (data.type === 'FeatureCollection') return data.features || []
+  if (data.type === 'Feature') return [data]
+  return [{ type: 'Feature', geometry: data, properties: {} }]
+}
+
+export const isGeoJson = (data) => {
+  return Boolean(data) && !Array.isArray(data) && GEOJSON_TYPES.includes(data.type)
+}
+
+export const parseGeoJsonFeatures = (features) => {
+  return features
+    .flatMap(feature => parseGeometry(feature.geometry, feature.properties || {}))
+    .filter(point => !isNaN(point.latitude) && !isNaN(point.longitude))
+    .sort((a, b) => a.timestamp - b.timestamp)
+}
+
+export const parseGeoJson = (data) => {
+  const points = parseGeoJsonFeatures(getFeatures(data))
+
+  if (points.length === 0) {
+    throw new Error('No timestamped coordinates found in GeoJSON file')
+  }
+
+  return points
+}
@@ -0,0 +1,42 @@
+const getChildText = (element, tagName) => {
+  const child = element.getElementsByTagName(tagName)[0]
+  return child ? child.textContent.trim() : null
+}
+
+export const parseGpx = (gpxText) => {
+  const parser = new DOMParser()
+  const xmlDoc = parser.parseFromString(gpxText, 'text/xml')
+
+  if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('GPX file is not valid XML')
+  }
+
+  const trackPoints = xmlDoc.getElementsByTagName('trkpt')
+  const points = []
+
+  for (let trackPoint of trackPoints) {
+    const latitude = parseFloat(trackPoint.getAttribute('lat'))
+    const longitude = parseFloat(trackPoint.getAttribute('lon'))
+    const time = getChildText(trackPoint, 'time')
+    const elevation = getChildText(trackPoint, 'ele')
+
+    if (isNaN(latitude) || isNaN(longitude) || !time) continue
+
+    const timestamp = new Date(time)
+    if (isNaN(timestamp)) continue
+
+    points.push({
+      timestamp,
+      latitude,
+      longitude,
+      accuracy: null,
+      altitude: elevation !== null ? parseFloat(elevation) : null
+    })
+  }
+
+  if (points.length === 0) {
+    throw new Error('No timestamped track points found in GPX file')
+  }
+
+  return points.sort((a, b) => a.timestamp - b.timestamp)
+}
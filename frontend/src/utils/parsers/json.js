@@ -0,0 +1,122 @@
+import { createJsonArrayStream } from './jsonArrayStream.js'
+import { isSemanticLocationHistory, parseSemanticLocationHistory, parseTimelineObjects } from './semanticLocationHistory.js'
+import { applyActivityHints, isOnDeviceTimeline, parseOnDeviceTimeline, parseSemanticSegments, parseRawSignals } from './onDeviceTimeline.js'
+import { isGeoJson, parseGeoJson, parseGeoJsonFeatures } from './geoJson.js'
+
+const DEFAULT_BATCH_SIZE = 5000
+
+const parseRecord = (location) => ({
+  timestamp: location.timestamp ? new Date(location.timestamp) : new Date(parseInt(location.timestampMs)),
+  latitude: location.latitudeE7 / 10000000,
+  longitude: location.longitudeE7 / 10000000,
+  accuracy: location.accuracy || null
+})
+
+const parsePointObject = (point) => ({
+  timestamp: new Date(point.timestamp),
+  latitude: point.latitude || point.lat,
+  longitude: point.longitude || point.lng,
+  accuracy: point.accuracy || null
+})
+
+const isValidPoint = (point) => {
+  return !isNaN(point.timestamp) && !isNaN(point.latitude) && !isNaN(point.longitude)
+}
+
+const pointsOnly = (points) => ({ points, trips: [] })
+
+const ELEMENT_PARSERS = {
+  timelineObjects: parseTimelineObjects,
+  semanticSegments: parseSemanticSegments,
+  rawSignals: (signals) => pointsOnly(parseRawSignals(signals)),
+  features: (features) => pointsOnly(parseGeoJsonFeatures(features)),
+  locations: (locations) => pointsOnly(locations.map(parseRecord).filter(isValidPoint))
+}
+
+const parseTopLevelArray = (elements) => {
+  if (isOnDeviceTimeline(elements)) {
+    return parseSemanticSegments(elements)
+  }
+  return pointsOnly(elements.map(parsePointObject).filter(isValidPoint))
+}
+
+export const parseJsonLocationData = (data) => {
+  if (isSemanticLocationHistory(data)) {
+    return parseSemanticLocationHistory(data)
+  }
+
+  if (isOnDeviceTimeline(data)) {
+    return parseOnDeviceTimeline(data)
+  }
+
+  if (isGeoJson(data)) {
+    return pointsOnly(parseGeoJson(data))
+  }
+
+  if (data.locations) {
+    return ELEMENT_PARSERS.locations(data.locations)
+  }
+
+  if (Array.isArray(data)) {
+    return parseTopLevelArray(data)
+  }
+
+  throw new Error('Unrecognized JSON format')
+}
+
+export const createJsonLocationStream = (onBatch, batchSize = DEFAULT_BATCH_SIZE) => {
+  let pending = []
+  let pendingKey = null
+  let recognized = false
+  // Raw signals carry no activity of their own, so they borrow it from the segments parsed in earlier
+  // batches, the same way parseOnDeviceTimeline does for a whole file.
+  const segmentTrips = []
+  let segmentTripsSorted = true
+
+  const withActivityHints = (key, parsed) => {
+    if (key === 'semanticSegments') {
+      for (let trip of parsed.trips) segmentTrips.push(trip)
+      segmentTripsSorted = false
+    } else if (key === 'rawSignals' && segmentTrips.length > 0) {
+      if (!segmentTripsSorted) {
+        segmentTrips.sort((a, b) => a.startTime - b.startTime)
+        segmentTripsSorted = true
+      }
+      applyActivityHints(parsed.points, segmentTrips)
+    }
+    return parsed
+  }
+
+  const flush = () => {
+    if (pending.length === 0) return
+
+    const parser = pendingKey === null ? parseTopLevelArray : ELEMENT_PARSERS[pendingKey]
+    const elements = pending
+    pending = []
+    onBatch(withActivityHints(pendingKey, parser(elements)))
+  }
+
+  const stream = createJsonArrayStream((element, key) => {
+    if (key !== null && !ELEMENT_PARSERS[key]) return
+
+    if (key !== pendingKey) {
+      flush()
+      pendingKey = key
+    }
+
+    recognized = true
+    pending.push(element)
+    if (pending.length >= batchSize) flush()
+  })
+
+  const end = () => {
+    stream.end()
+    flush()
+
+    if (!recognized) {
+      throw new Error('Unrecognized JSON format')
+    }
+  }
+
+  return { write: stream.write, end }
+}
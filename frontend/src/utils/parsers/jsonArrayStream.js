@@ -0,0 +1,97 @@
+const QUOTE = 34
+const BACKSLASH = 92
+const OPEN_BRACE = 123
+const CLOSE_BRACE = 125
+const OPEN_BRACKET = 91
+const CLOSE_BRACKET = 93
+
+// Splits a JSON document into the object elements of its top-level array, or of the
+// arrays held directly by its top-level object, without materialising the whole document.
+export const createJsonArrayStream = (onElement) => {
+  const stack = []
+  let inString = false
+  let escaped = false
+  let keyParts = null
+  let keyStart = 0
+  let lastKey = null
+  let arrayKey = null
+  let captureDepth = -1
+  let captureParts = []
+  let captureStart = 0
+
+  const isTopLevelObject = () => stack.length === 1 && stack[0] === OPEN_BRACE
+
+  const isElementArray = () => {
+    const top = stack[stack.length - 1]
+    return top === OPEN_BRACKET && (stack.length === 1 || (stack.length === 2 && stack[0] === OPEN_BRACE))
+  }
+
+  const write = (chunk) => {
+    captureStart = 0
+    keyStart = 0
+
+    for (let i = 0; i < chunk.length; i++) {
+      const code = chunk.charCodeAt(i)
+
+      if (inString) {
+        if (escaped) {
+          escaped = false
+        } else if (code === BACKSLASH) {
+          escaped = true
+        } else if (code === QUOTE) {
+          inString = false
+          if (keyParts) {
+            keyParts.push(chunk.slice(keyStart, i))
+            lastKey = keyParts.join('')
+            keyParts = null
+          }
+        }
+        continue
+      }
+
+      if (code === QUOTE) {
+        inString = true
+        if (isTopLevelObject()) {
+          keyParts = []
+          keyStart = i + 1
+        }
+      } else if (code === OPEN_BRACE || code === OPEN_BRACKET) {
+        if (captureDepth === -1 && isElementArray()) {
+          captureDepth = stack.length
+          captureStart = i
+        }
+        if (code === OPEN_BRACKET && isTopLevelObject()) {
+          arrayKey = lastKey
+        }
+        if (code === OPEN_BRACKET && stack.length === 0) {
+          arrayKey = null
+        }
+        stack.push(code)
+      } else if (code === CLOSE_BRACE || code === CLOSE_BRACKET) {
+        stack.pop()
+        if (captureDepth === stack.length) {
+          captureParts.push(chunk.slice(captureStart, i + 1))
+          const elementText = captureParts.join('')
+          captureParts = []
+          captureDepth = -1
+          onElement(JSON.parse(elementText), arrayKey)
+        }
+      }
+    }
+
+    if (captureDepth !== -1) {
+      captureParts.push(chunk.slice(captureStart))
+    }
+    if (keyParts) {
+      keyParts.push(chunk.slice(keyStart))
+    }
+  }
+
+  const end = () => {
+    if (stack.length > 0 || inString) {
+      throw new Error('Unexpected end of JSON input')
+    }
+  }
+
+  return { write, end }
+}
@@ -0,0 +1,113 @@
+const byLocalName = (element, localName) => element.getElementsByTagNameNS('*', localName)
+
+const getChildText = (element, localName) => {
+  const child = byLocalName(element, localName)[0]
+  return child ? child.textContent.trim() : null
+}
+
+const parseTime = (value) => {
+  if (!value) return null
+  const date = new Date(value)
+  return isNaN(date) ? null : date
+}
+
+const toPoint = (longitude, latitude, altitude, timestamp) => ({
+  timestamp,
+  latitude,
+  longitude,
+  accuracy: null,
+  altitude: isNaN(altitude) ? null : altitude
+})
+
+const parseTuple = (tuple, separator) => {
+  const parts = tuple.trim().split(separator).map(parseFloat)
+  return parts.length >= 2 && !isNaN(parts[0]) && !isNaN(parts[1]) ? parts : null
+}
+
+const parseCoordinates = (text) => {
+  return text.trim()
+    .split(/\s+/)
+    .map(tuple => parseTuple(tuple, ','))
+    .filter(Boolean)
+}
+
+const interpolateTimestamp = (begin, end, index, count) => {
+  if (count < 2) return begin
+  return new Date(begin.getTime() + (end - begin) * (index / (count - 1)))
+}
+
+const parseTrack = (track) => {
+  const whens = Array.from(byLocalName(track, 'when'))
+  const coords = Array.from(byLocalName(track, 'coord'))
+
+  return coords
+    .map((coord, index) => {
+      const timestamp = parseTime(whens[index]?.textContent.trim())
+      const parts = parseTuple(coord.textContent, /\s+/)
+      if (!timestamp || !parts) return null
+
+      const [longitude, latitude, altitude] = parts
+      return toPoint(longitude, latitude, altitude, timestamp)
+    })
+    .filter(Boolean)
+}
+
+const parsePlacemark = (placemark) => {
+  const coordinates = Array.from(byLocalName(placemark, 'coordinates'))
+    .flatMap(element => parseCoordinates(element.textContent))
+  if (coordinates.length === 0) return []
+
+  const timeStamp = byLocalName(placemark, 'TimeStamp')[0]
+  const timeSpan = byLocalName(placemark, 'TimeSpan')[0]
+
+  if (timeStamp) {
+    const timestamp = parseTime(getChildText(timeStamp, 'when'))
+    if (!timestamp) return []
+    return coordinates.map(([longitude, latitude, altitude]) => toPoint(longitude, latitude, altitude, timestamp))
+  }
+
+  if (timeSpan) {
+    const begin = parseTime(getChildText(timeSpan, 'begin'))
+    const end = parseTime(getChildText(timeSpan, 'end')) || begin
+    if (!begin) return []
+
+    const timedCoordinates = coordinates.length === 1 && end > begin
+      ? [coordinates[0], coordinates[0]]
+      : coordinates
+
+    return timedCoordinates.map(([longitude, latitude, altitude], index) =>
+      toPoint(longitude, latitude, altitude, interpolateTimestamp(begin, end, index, timedCoordinates.length))
+    )
+  }
+
+  return []
+}
+
+export const parseKml = (kmlText) => {
+  const parser = new DOMParser()
+  const xmlDoc = parser.parseFromString(kmlText, 'text/xml')
+
+  if (xmlDoc.getElementsByTagName('parsererror').length > 0) {
+    throw new Error('KML file is not valid XML')
+  }
+
+  const points = []
+
+  for (let track of byLocalName(xmlDoc, 'Track')) {
+    for (let point of parseTrack(track)) points.push(point)
+  }
+
+  for (let placemark of byLocalName(xmlDoc, 'Placemark')) {
+    if (byLocalName(placemark, 'Track').length > 0) continue
+    points.push(...parsePlacemark(placemark))
+  }
+
+  if (points.length === 0) {
+    const hasCoordinates = byLocalName(xmlDoc, 'coordinates').length > 0 || byLocalName(xmlDoc, 'coord').length > 0
+    throw new Error(hasCoordinates
+      ? 'KML file has coordinates but no TimeStamp, TimeSpan or gx:Track times'
+      : 'No coordinate data found in KML file')
+  }
+
+  return points.sort((a, b) => a.timestamp - b.timestamp)
+}
@@ -0,0 +1,170 @@
+import { createTrip } from './shared.js'
+
+const parseLatLng = (value) => {
+  if (typeof value !== 'string') return null
+
+  const parts = value.replace(/^geo:/, '').replace(/°/g, '').split(',')
+  if (parts.length < 2) return null
+
+  const latitude = parseFloat(parts[0])
+  const longitude = parseFloat(parts[1])
+  if (isNaN(latitude) || isNaN(longitude)) return null
+
+  return { latitude, longitude }
+}
+
+const normalizeActivityType = (type) => {
+  if (!type || typeof type !== 'string') return null
+  return type.trim().toUpperCase().replace(/\s+/g, '_')
+}
+
+const toPoint = (latLng, timestamp, extra = {}) => ({
+  timestamp,
+  latitude: latLng.latitude,
+  longitude: latLng.longitude,
+  accuracy: null,
+  ...extra
+})
+
+const isValidDate = (date) => date instanceof Date && !isNaN(date)
+
+const parseTimelinePath = (segment, startTime) => {
+  return segment.timelinePath
+    .map(entry => {
+      const latLng = parseLatLng(entry.point)
+      if (!latLng) return null
+
+      const timestamp = entry.time
+        ? new Date(entry.time)
+        : new Date(startTime.getTime() + parseFloat(entry.durationMinutesOffsetFromStartTime || 0) * 60 * 1000)
+
+      return isValidDate(timestamp) ? toPoint(latLng, timestamp) : null
+    })
+    .filter(Boolean)
+}
+
+const parseVisit = (segment, startTime, endTime) => {
+  const placeLocation = segment.visit.topCandidate?.placeLocation
+  const latLng = parseLatLng(placeLocation?.latLng ?? placeLocation)
+  if (!latLng) return []
+
+  const extra = { activityType: 'STILL' }
+  return [
+    toPoint(latLng, startTime, extra),
+    toPoint(latLng, endTime, extra)
+  ]
+}
+
+const parseActivity = (segment, startTime, endTime) => {
+  const { activity } = segment
+  const start = parseLatLng(activity.start?.latLng ?? activity.start)
+  const end = parseLatLng(activity.end?.latLng ?? activity.end)
+  if (!start || !end) return null
+
+  const activityType = normalizeActivityType(activity.topCandidate?.type)
+  const extra = { activityType }
+  const points = [
+    toPoint(start, startTime, extra),
+    toPoint(end, endTime, extra)
+  ]
+
+  const trip = createTrip(points, {
+    startTime,
+    endTime,
+    distanceMeters: activity.distanceMeters !== undefined ? parseFloat(activity.distanceMeters) : undefined,
+    activityType,
+    source: 'timeline'
+  })
+
+  return { points, trip }
+}
+
+const parseRawSignal = (signal) => {
+  const position = signal.position
+  if (!position) return null
+
+  const latLng = parseLatLng(position.LatLng ?? position.latLng)
+  const timestamp = new Date(position.timestamp)
+  if (!latLng || !isValidDate(timestamp)) return null
+
+  return toPoint(latLng, timestamp, {
+    accuracy: position.accuracyMeters ?? null,
+    altitude: position.altitudeMeters ?? null
+  })
+}
+
+export const applyActivityHints = (points, trips) => {
+  let tripIndex = 0
+
+  for (let point of points) {
+    if (point.activityType) continue
+
+    while (tripIndex < trips.length && trips[tripIndex].endTime < point.timestamp) {
+      tripIndex++
+    }
+
+    const trip = trips[tripIndex]
+    if (trip && trip.startTime <= point.timestamp) {
+      point.activityType = trip.activityType
+    }
+  }
+}
+
+export const isOnDeviceTimeline = (data) => {
+  if (!data) return false
+  if (Array.isArray(data.semanticSegments) || Array.isArray(data.rawSignals)) return true
+
+  return Array.isArray(data) && data.length > 0 &&
+    data[0].startTime !== undefined &&
+    (data[0].visit !== undefined || data[0].activity !== undefined || data[0].timelinePath !== undefined)
+}
+
+export const parseSemanticSegments = (segments) => {
+  const points = []
+  const trips = []
+
+  for (let segment of segments) {
+    const startTime = new Date(segment.startTime)
+    const endTime = new Date(segment.endTime)
+    if (!isValidDate(startTime) || !isValidDate(endTime)) continue
+
+    if (Array.isArray(segment.timelinePath)) {
+      points.push(...parseTimelinePath(segment, startTime))
+    } else if (segment.visit) {
+      points.push(...parseVisit(segment, startTime, endTime))
+    } else if (segment.activity) {
+      const parsed = parseActivity(segment, startTime, endTime)
+      if (parsed) {
+        points.push(...parsed.points)
+        trips.push(parsed.trip)
+      }
+    }
+  }
+
+  points.sort((a, b) => a.timestamp - b.timestamp)
+  trips.sort((a, b) => a.startTime - b.startTime)
+  applyActivityHints(points, trips)
+
+  return { points, trips }
+}
+
+export const parseRawSignals = (signals) => {
+  return signals
+    .map(parseRawSignal)
+    .filter(Boolean)
+    .sort((a, b) => a.timestamp - b.timestamp)
+}
+
+export const parseOnDeviceTimeline = (data) => {
+  const { points, trips } = parseSemanticSegments(Array.isArray(data) ? data : data.semanticSegments || [])
+  const rawPoints = Array.isArray(data) ? [] : parseRawSignals(data.rawSignals || [])
+
+  if (points.length === 0 && rawPoints.length === 0) {
+    throw new Error('No location data found in Timeline file')
+  }
+
+  const allPoints = [...points, ...rawPoints].sort((a, b) => a.timestamp - b.timestamp)
+  applyActivityHints(allPoints, trips)
+
+  return { points: allPoints, trips }
+}
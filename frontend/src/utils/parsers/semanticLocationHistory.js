@@ -0,0 +1,129 @@
+import { createTrip } from './shared.js'
+
+const fromE7 = (value) => value / 10000000
+
+const parseDurationTimestamp = (duration, edge) => {
+  if (!duration) return null
+
+  const iso = duration[`${edge}Timestamp`]
+  if (iso) return new Date(iso)
+
+  const ms = duration[`${edge}TimestampMs`]
+  if (ms) return new Date(parseInt(ms))
+
+  return null
+}
+
+const toPoint = (location, timestamp, extra = {}) => ({
+  timestamp,
+  latitude: fromE7(location.latitudeE7 ?? location.latE7),
+  longitude: fromE7(location.longitudeE7 ?? location.lngE7),
+  accuracy: location.accuracyMeters ?? location.accuracy ?? null,
+  ...extra
+})
+
+const hasCoordinates = (location) => {
+  return location &&
+    (location.latitudeE7 ?? location.latE7) !== undefined &&
+    (location.longitudeE7 ?? location.lngE7) !== undefined
+}
+
+const interpolateTimestamp = (startTime, endTime, index, count) => {
+  if (count < 2) return startTime
+  const fraction = index / (count - 1)
+  return new Date(startTime.getTime() + (endTime - startTime) * fraction)
+}
+
+const parseActivitySegment = (segment) => {
+  const startTime = parseDurationTimestamp(segment.duration, 'start')
+  const endTime = parseDurationTimestamp(segment.duration, 'end')
+
+  if (!startTime || !endTime || !hasCoordinates(segment.startLocation) || !hasCoordinates(segment.endLocation)) {
+    return null
+  }
+
+  const activityType = segment.activityType || segment.activities?.[0]?.activityType || null
+  const extra = { activityType }
+
+  const rawPoints = (segment.simplifiedRawPath?.points || [])
+    .filter(hasCoordinates)
+    .map(point => toPoint(point, new Date(point.timestamp || parseInt(point.timestampMs)), extra))
+    .filter(point => !isNaN(point.timestamp))
+
+  const waypoints = (segment.waypointPath?.waypoints || []).filter(hasCoordinates)
+
+  let pathPoints = rawPoints
+  if (pathPoints.length === 0 && waypoints.length > 0) {
+    pathPoints = waypoints.map((waypoint, index) =>
+      toPoint(waypoint, interpolateTimestamp(startTime, endTime, index, waypoints.length), extra)
+    )
+  }
+
+  const points = [
+    toPoint(segment.startLocation, startTime, extra),
+    ...pathPoints,
+    toPoint(segment.endLocation, endTime, extra)
+  ].sort((a, b) => a.timestamp - b.timestamp)
+
+  const trip = createTrip(points, {
+    startTime,
+    endTime,
+    distanceMeters: segment.distance ?? segment.waypointPath?.distanceMeters,
+    activityType,
+    source: 'semantic'
+  })
+
+  return { points, trip }
+}
+
+const parsePlaceVisit = (visit) => {
+  const startTime = parseDurationTimestamp(visit.duration, 'start')
+  const endTime = parseDurationTimestamp(visit.duration, 'end')
+  const location = hasCoordinates(visit.location)
+    ? visit.location
+    : { latitudeE7: visit.centerLatE7, longitudeE7: visit.centerLngE7 }
+
+  if (!startTime || !endTime || !hasCoordinates(location)) return []
+
+  const extra = { activityType: 'STILL' }
+  return [
+    toPoint(location, startTime, extra),
+    toPoint(location, endTime, extra)
+  ]
+}
+
+export const isSemanticLocationHistory = (data) => {
+  return Boolean(data) && Array.isArray(data.timelineObjects)
+}
+
+export const parseTimelineObjects = (timelineObjects) => {
+  const points = []
+  const trips = []
+
+  for (let timelineObject of timelineObjects) {
+    if (timelineObject.activitySegment) {
+      const parsed = parseActivitySegment(timelineObject.activitySegment)
+      if (parsed) {
+        points.push(...parsed.points)
+        trips.push(parsed.trip)
+      }
+    } else if (timelineObject.placeVisit) {
+      points.push(...parsePlaceVisit(timelineObject.placeVisit))
+    }
+  }
+
+  return {
+    points: points.sort((a, b) => a.timestamp - b.timestamp),
+    trips: trips.sort((a, b) => a.startTime - b.startTime)
+  }
+}
+
+export const parseSemanticLocationHistory = (data) => {
+  const parsed = parseTimelineObjects(data.timelineObjects)
+
+  if (parsed.points.length === 0) {
+    throw new Error('No activity segments or place visits found in Semantic Location History file')
+  }
+
+  return parsed
+}
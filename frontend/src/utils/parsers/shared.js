@@ -0,0 +1,30 @@
+import { DISTANCE_METHODS, estimatePathDistance } from '../roadDistance.js'
+
+export const METERS_PER_MILE = 1609.344
+
+export const createTrip = (points, { startTime, endTime, distanceMeters, activityType = null, source }) => {
+  const first = points[0]
+  const last = points[points.length - 1]
+  const { distance, method } = distanceMeters !== undefined && distanceMeters !== null && !isNaN(distanceMeters)
+    ? { distance: distanceMeters / METERS_PER_MILE, method: DISTANCE_METHODS.REPORTED }
+    : estimatePathDistance(points)
+
+  return {
+    id: Math.random().toString(36).substr(2, 9),
+    startTime,
+    endTime,
+    distance: parseFloat(distance.toFixed(2)),
+    distanceMethod: method,
+    startLocation: {
+      lat: first.latitude,
+      lng: first.longitude
+    },
+    endLocation: {
+      lat: last.latitude,
+      lng: last.longitude
+    },
+    duration: (endTime - startTime) / 1000 / 60,
+    activityType,
+    source
+  }
+}
@@ -0,0 +1,111 @@
+import { calculateDistance } from './distance.js'
+
+export const PLACE_TYPES = {
+  HOME: 'home',
+  WORK: 'work',
+  PUBLIC: 'public'
+}
+
+export const DEFAULT_PLACE_OPTIONS = {
+  placeRadiusMeters: 250,
+  overnightStartHour: 0,
+  overnightEndHour: 5,
+  workStartHour: 9,
+  workEndHour: 17,
+  minWorkHoursPerDay: 3,
+  minWorkDays: 3
+}
+
+const HOUR_MS = 60 * 60 * 1000
+
+const distanceMeters = (latitudeA, longitudeA, latitudeB, longitudeB) => {
+  return calculateDistance(latitudeA, longitudeA, latitudeB, longitudeB, 'km') * 1000
+}
+
+const overlapHours = (start, end, windowStart, windowEnd) => {
+  return Math.max(0, Math.min(end, windowEnd) - Math.max(start, windowStart)) / HOUR_MS
+}
+
+// Splits a stay into calendar days and measures how much of each day falls in a daily window.
+const dailyWindowHours = (stay, startHour, endHour, weekdaysOnly = false) => {
+  const hoursByDay = []
+  const day = new Date(stay.arrivalTime)
+  day.setHours(0, 0, 0, 0)
+
+  while (day < stay.departureTime) {
+    const weekday = day.getDay() !== 0 && day.getDay() !== 6
+    if (!weekdaysOnly || weekday) {
+      const windowStart = new Date(day).setHours(startHour)
+      const windowEnd = new Date(day).setHours(endHour)
+      const hours = overlapHours(stay.arrivalTime.getTime(), stay.departureTime.getTime(), windowStart, windowEnd)
+      if (hours > 0) hoursByDay.push(hours)
+    }
+    day.setDate(day.getDate() + 1)
+  }
+
+  return hoursByDay
+}
+
+export const findPlace = (places, latitude, longitude, radiusMeters = DEFAULT_PLACE_OPTIONS.placeRadiusMeters) => {
+  let nearest = null
+  let nearestMeters = Infinity
+
+  for (let place of places) {
+    const meters = distanceMeters(latitude, longitude, place.latitude, place.longitude)
+    if (meters <= radiusMeters && meters < nearestMeters) {
+      nearest = place
+      nearestMeters = meters
+    }
+  }
+
+  return nearest
+}
+
+export const clusterPlaces = (stays, options = {}) => {
+  const settings = { ...DEFAULT_PLACE_OPTIONS, ...options }
+  const places = []
+
+  for (let stay of stays) {
+    let place = findPlace(places, stay.latitude, stay.longitude, settings.placeRadiusMeters)
+    if (!place) {
+      place = {
+        id: Math.random().toString(36).substr(2, 9),
+        latitude: stay.latitude,
+        longitude: stay.longitude,
+        visits: 0,
+        totalHours: 0,
+        overnightHours: 0,
+        workDays: 0
+      }
+      places.push(place)
+    }
+
+    place.latitude = (place.latitude * place.visits + stay.latitude) / (place.visits + 1)
+    place.longitude = (place.longitude * place.visits + stay.longitude) / (place.visits + 1)
+    place.visits++
+    place.totalHours += (stay.departureTime - stay.arrivalTime) / HOUR_MS
+    place.overnightHours += dailyWindowHours(stay, settings.overnightStartHour, settings.overnightEndHour)
+      .reduce((sum, hours) => sum + hours, 0)
+    place.workDays += dailyWindowHours(stay, settings.workStartHour, settings.workEndHour, true)
+      .filter(hours => hours >= settings.minWorkHoursPerDay).length
+  }
+
+  return places
+}
+
+export const inferPlaces = (stays, options = {}) => {
+  const settings = { ...DEFAULT_PLACE_OPTIONS, ...options }
+  const places = clusterPlaces(stays, settings).map(place => ({ ...place, type: PLACE_TYPES.PUBLIC }))
+
+  const home = places
+    .filter(place => place.overnightHours > 0)
+    .sort((a, b) => b.overnightHours - a.overnightHours)[0]
+  if (home) home.type = PLACE_TYPES.HOME
+
+  const work = places
+    .filter(place => place !== home && place.workDays >= settings.minWorkDays)
+    .sort((a, b) => b.workDays - a.workDays)[0]
+  if (work) work.type = PLACE_TYPES.WORK
+
+  return places
+}
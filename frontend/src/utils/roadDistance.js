@@ -0,0 +1,121 @@
+import { calculateDistance } from './distance.js'
+import { mapMatchingService } from '../services/mapMatchingService.js'
+
+export const DISTANCE_METHODS = {
+  STRAIGHT_LINE: 'straight-line',
+  DETOUR_FACTOR: 'detour-factor',
+  MAP_MATCHED: 'map-matched',
+  REPORTED: 'reported'
+}
+
+// Road networks average about 1.3x the crow-flies distance between far-apart samples. Samples a few hundred
+// metres apart count as-is, and fixes taken every minute or so only miss the curves between them, so the
+// factor eases from denseDetourFactor up to detourFactor as the time between samples grows.
+export const DEFAULT_DISTANCE_OPTIONS = {
+  detourFactor: 1.3,
+  denseDetourFactor: 1.05,
+  sparseSegmentMiles: 0.25,
+  denseSampleSeconds: 60,
+  sparseSampleSeconds: 600
+}
+
+export const DEFAULT_MAP_MATCHING_OPTIONS = {
+  maxPointsPerRequest: 100
+}
+
+const segmentDetourFactor = (gapSeconds, settings) => {
+  const { detourFactor, denseDetourFactor, denseSampleSeconds, sparseSampleSeconds } = settings
+  const ratio = (gapSeconds - denseSampleSeconds) / (sparseSampleSeconds - denseSampleSeconds)
+  return denseDetourFactor + (detourFactor - denseDetourFactor) * Math.min(1, Math.max(0, ratio))
+}
+
+export const estimatePathDistance = (points, options = {}) => {
+  const settings = { ...DEFAULT_DISTANCE_OPTIONS, ...options }
+  let distance = 0
+  let detoured = false
+
+  for (let i = 1; i < points.length; i++) {
+    const miles = calculateDistance(
+      points[i - 1].latitude, points[i - 1].longitude,
+      points[i].latitude, points[i].longitude
+    )
+    if (miles > settings.sparseSegmentMiles) {
+      const gapSeconds = (points[i].timestamp - points[i - 1].timestamp) / 1000
+      distance += miles * segmentDetourFactor(gapSeconds, settings)
+      detoured = true
+    } else {
+      distance += miles
+    }
+  }
+
+  return {
+    distance,
+    method: detoured ? DISTANCE_METHODS.DETOUR_FACTOR : DISTANCE_METHODS.STRAIGHT_LINE
+  }
+}
+
+const lowerBound = (points, time) => {
+  let low = 0
+  let high = points.length
+  while (low < high) {
+    const middle = (low + high) >> 1
+    if (points[middle].timestamp < time) {
+      low = middle + 1
+    } else {
+      high = middle
+    }
+  }
+  return low
+}
+
+export const pointsDuringTrip = (sortedPoints, trip) => {
+  const start = lowerBound(sortedPoints, trip.startTime)
+  const end = lowerBound(sortedPoints, new Date(trip.endTime.getTime() + 1))
+  return sortedPoints.slice(start, end)
+}
+
+const downsample = (points, maxPoints) => {
+  if (points.length <= maxPoints) return points
+
+  const step = (points.length - 1) / (maxPoints - 1)
+  return Array.from({ length: maxPoints }, (_, i) => points[Math.round(i * step)])
+}
+
+export const matchTripDistances = async (trips, sortedPoints, options = {}, shouldMatch = () => true) => {
+  const { maxPointsPerRequest, ...config } = { ...DEFAULT_MAP_MATCHING_OPTIONS, ...options }
+  const report = { matched: 0, failed: 0, lastError: null }
+  const matched = []
+
+  for (let trip of trips) {
+    const trace = shouldMatch(trip) ? pointsDuringTrip(sortedPoints, trip) : []
+    if (trace.length < 2) {
+      matched.push(trip)
+      continue
+    }
+
+    try {
+      const distance = await mapMatchingService.matchDistance(downsample(trace, maxPointsPerRequest), config)
+      matched.push({
+        ...trip,
+        distance: parseFloat(distance.toFixed(2)),
+        distanceMethod: DISTANCE_METHODS.MAP_MATCHED
+      })
+      report.matched++
+    } catch (error) {
+      matched.push(trip)
+      report.failed++
+      report.lastError = error.message
+    }
+  }
+
+  return { trips: matched, report }
+}
+
+export const summarizeDistanceMethods = (trips) => {
+  const summary = {}
+  for (let trip of trips) {
+    const method = trip.distanceMethod || DISTANCE_METHODS.STRAIGHT_LINE
+    summary[method] = (summary[method] || 0) + 1
+  }
+  return summary
+}
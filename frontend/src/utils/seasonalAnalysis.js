@@ -0,0 +1,97 @@
+import { MONTH_NAMES, monthlyNormalsAt } from './climate.js'
+import { TRIP_SOC_STATUS, capacityDerateFactor, scoreTrip } from './energyModel.js'
+
+export const DEFAULT_SEASONAL_OPTIONS = {
+  coldSnapOffsetF: 15,
+  windowDays: 7
+}
+
+const summarizeScores = (trips, scores) => {
+  let feasibleTrips = 0
+  let distance = 0
+  let energyKwh = 0
+  let temperatureSum = 0
+
+  scores.forEach((score, i) => {
+    if (score.status === TRIP_SOC_STATUS.OK) feasibleTrips++
+    distance += trips[i].distance
+    energyKwh += score.energyKwh
+    temperatureSum += score.temperatureF
+  })
+
+  return {
+    totalTrips: trips.length,
+    feasibleTrips,
+    feasibilityScore: trips.length > 0 ? Math.round((feasibleTrips / trips.length) * 100) : 0,
+    distance,
+    energyKwh,
+    averageTemperatureF: trips.length > 0 ? temperatureSum / trips.length : null
+  }
+}
+
+export const buildMonthlyBreakdown = (trips, params, settings = {}) => {
+  return MONTH_NAMES.map((month, index) => {
+    const scores = trips.map(trip => {
+      const temperatureF = monthlyNormalsAt(trip.startLocation.lat, trip.startLocation.lng, settings.climate)[index]
+      return scoreTrip(trip, params, settings, temperatureF)
+    })
+    const summary = summarizeScores(trips, scores)
+    const efficiency = summary.energyKwh > 0 ? summary.distance / summary.energyKwh : params.ratedEfficiency
+
+    return {
+      month,
+      observedTrips: trips.filter(trip => trip.startTime.getMonth() === index).length,
+      averageTemperatureF: summary.averageTemperatureF !== null ? Math.round(summary.averageTemperatureF) : null,
+      feasibilityScore: summary.feasibilityScore,
+      feasibleTrips: summary.feasibleTrips,
+      averageEfficiency: parseFloat(efficiency.toFixed(2)),
+      effectiveRange: Math.round(
+        params.batteryCapacityKwh * capacityDerateFactor(summary.averageTemperatureF ?? 70) * efficiency
+      )
+    }
+  })
+}
+
+const busiestWindow = (trips, windowMs) => {
+  const sorted = [...trips].sort((a, b) => a.startTime - b.startTime)
+  let best = { start: 0, end: 0, distance: -1 }
+  let start = 0
+  let distance = 0
+
+  for (let end = 0; end < sorted.length; end++) {
+    distance += sorted[end].distance
+    while (sorted[end].startTime - sorted[start].startTime >= windowMs) {
+      distance -= sorted[start].distance
+      start++
+    }
+    if (distance > best.distance) best = { start, end, distance }
+  }
+
+  return sorted.slice(best.start, best.end + 1)
+}
+
+export const findWorstWinterWeek = (trips, params, settings = {}) => {
+  if (trips.length === 0) return null
+
+  const { coldSnapOffsetF, windowDays } = { ...DEFAULT_SEASONAL_OPTIONS, ...settings.seasonal }
+  const week = busiestWindow(trips, windowDays * 24 * 60 * 60 * 1000)
+  const scores = week.map(trip => {
+    const normals = monthlyNormalsAt(trip.startLocation.lat, trip.startLocation.lng, settings.climate)
+    return scoreTrip(trip, params, settings, Math.min(...normals) - coldSnapOffsetF)
+  })
+  const summary = summarizeScores(week, scores)
+  const usableKwh = params.batteryCapacityKwh * capacityDerateFactor(summary.averageTemperatureF) *
+    (settings.departureSoc - settings.reserveSoc)
+
+  return {
+    weekStart: week[0].startTime,
+    weekEnd: week[week.length - 1].endTime,
+    temperatureF: Math.round(summary.averageTemperatureF),
+    totalTrips: summary.totalTrips,
+    feasibleTrips: summary.feasibleTrips,
+    feasibilityScore: summary.feasibilityScore,
+    distance: parseFloat(summary.distance.toFixed(1)),
+    energyKwh: parseFloat(summary.energyKwh.toFixed(1)),
+    chargesNeeded: Math.ceil(summary.energyKwh / usableKwh)
+  }
+}
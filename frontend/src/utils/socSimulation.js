@@ -0,0 +1,124 @@
+import { PLACE_TYPES, findPlace } from './places.js'
+import { capacityDerateFactor } from './energyModel.js'
+
+export const DEFAULT_CHARGING_OPTIONS = {
+  chargers: {
+    [PLACE_TYPES.HOME]: { powerKw: 7.2, minDwellMinutes: 0, belowSoc: 1, targetSoc: 0.9 },
+    [PLACE_TYPES.WORK]: { powerKw: 7.2, minDwellMinutes: 60, belowSoc: 1, targetSoc: 0.9 },
+    [PLACE_TYPES.PUBLIC]: { powerKw: 50, minDwellMinutes: 20, belowSoc: 0.5, targetSoc: 0.8 }
+  },
+  // Below this charge, or before a trip the battery cannot cover, a driver detours to a DC fast charger.
+  publicDetourBelowSoc: 0.2,
+  chargingEfficiency: 0.9,
+  placeRadiusMeters: 250
+}
+
+const DAYS_PER_MONTH = 30.44
+
+const MAX_REPORTED_VIOLATIONS = 20
+
+const chargeDuringStay = (soc, dwellMinutes, charger, capacityKwh, chargingEfficiency) => {
+  if (!charger || charger.powerKw <= 0) return 0
+  if (dwellMinutes < charger.minDwellMinutes || soc >= charger.belowSoc || soc >= charger.targetSoc) return 0
+
+  const addedKwh = charger.powerKw * (dwellMinutes / 60) * chargingEfficiency
+  return Math.min(charger.targetSoc - soc, addedKwh / capacityKwh)
+}
+
+export const simulateStateOfCharge = (trips, params, places, options = {}) => {
+  const chargers = {}
+  for (let [type, charger] of Object.entries(DEFAULT_CHARGING_OPTIONS.chargers)) {
+    chargers[type] = { ...charger, ...(options.chargers && options.chargers[type]) }
+  }
+  const settings = { ...DEFAULT_CHARGING_OPTIONS, ...options, chargers }
+  const { departureSoc, reserveSoc, chargingEfficiency, placeRadiusMeters } = settings
+  const sorted = [...trips].sort((a, b) => a.startTime - b.startTime)
+
+  const chargingSessions = {}
+  const chargedKwh = {}
+  for (let type of Object.values(PLACE_TYPES)) {
+    chargingSessions[type] = 0
+    chargedKwh[type] = 0
+  }
+
+  const violations = []
+  let publicDetours = 0
+  let soc = departureSoc
+  let minSoc = departureSoc
+  let strandedTrips = 0
+
+  sorted.forEach((trip, index) => {
+    const previous = sorted[index - 1]
+    if (previous) {
+      const place = findPlace(places, previous.endLocation.lat, previous.endLocation.lng, placeRadiusMeters)
+      const type = place ? place.type : PLACE_TYPES.PUBLIC
+      const dwellMinutes = (trip.startTime - previous.endTime) / 1000 / 60
+      const added = chargeDuringStay(soc, dwellMinutes, settings.chargers[type], params.batteryCapacityKwh, chargingEfficiency)
+
+      if (added > 0) {
+        soc += added
+        chargingSessions[type]++
+        chargedKwh[type] += added * params.batteryCapacityKwh
+      }
+    }
+
+    const capacityKwh = params.batteryCapacityKwh * capacityDerateFactor(trip.temperatureF ?? 70)
+    const tripSoc = trip.energyKwh / capacityKwh
+    const publicCharger = settings.chargers[PLACE_TYPES.PUBLIC]
+    const needsDetour = soc < settings.publicDetourBelowSoc || soc - tripSoc < reserveSoc
+    if (needsDetour && soc < publicCharger.targetSoc && publicCharger.powerKw > 0) {
+      chargedKwh[PLACE_TYPES.PUBLIC] += (publicCharger.targetSoc - soc) * params.batteryCapacityKwh
+      chargingSessions[PLACE_TYPES.PUBLIC]++
+      publicDetours++
+      soc = publicCharger.targetSoc
+    }
+
+    const departure = soc
+    soc -= tripSoc
+    minSoc = Math.min(minSoc, soc)
+
+    if (soc < reserveSoc) {
+      violations.push({
+        tripId: trip.id,
+        time: trip.endTime,
+        distance: trip.distance,
+        departureSoc: Math.round(departure * 100),
+        arrivalSoc: Math.round(soc * 100),
+        stranded: soc < 0
+      })
+    }
+
+    // A stranded car is assumed to be rescued and topped up to the reserve before carrying on.
+    if (soc < 0) {
+      strandedTrips++
+      soc = reserveSoc
+    }
+  })
+
+  for (let type of Object.keys(chargedKwh)) {
+    chargedKwh[type] = parseFloat(chargedKwh[type].toFixed(1))
+  }
+
+  const spanDays = sorted.length > 0
+    ? (sorted[sorted.length - 1].endTime - sorted[0].startTime) / 1000 / 60 / 60 / 24
+    : 0
+  const months = Math.max(1, spanDays / DAYS_PER_MONTH)
+  const totalSessions = Object.values(chargingSessions).reduce((sum, count) => sum + count, 0)
+
+  return {
+    minSoc: Math.round(minSoc * 100),
+    finalSoc: Math.round(soc * 100),
+    reserveViolations: violations.length,
+    strandedTrips,
+    violations: violations
+      .sort((a, b) => a.arrivalSoc - b.arrivalSoc)
+      .slice(0, MAX_REPORTED_VIOLATIONS),
+    chargingSessions,
+    chargedKwh,
+    chargers,
+    publicDetours,
+    months: parseFloat(months.toFixed(2)),
+    publicSessionsPerMonth: parseFloat((chargingSessions[PLACE_TYPES.PUBLIC] / months).toFixed(1)),
+    sessionsPerWeek: parseFloat((totalSessions / (months * DAYS_PER_MONTH / 7)).toFixed(1))
+  }
+}
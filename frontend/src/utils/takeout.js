@@ -0,0 +1,37 @@
+import { listZipEntries } from './zip.js'
+
+const LOCATION_HISTORY_KINDS = [
+  {
+    kind: 'records',
+    label: 'Records',
+    matches: (path) => /(^|\/)Records\.json$/i.test(path)
+  },
+  {
+    kind: 'semantic',
+    label: 'Semantic Location History',
+    matches: (path) => /(^|\/)\d{4}\/\d{4}_\p{L}+\.json$/iu.test(path)
+  },
+  {
+    kind: 'timeline',
+    label: 'Timeline',
+    matches: (path) => /(^|\/)Timeline\.json$/i.test(path)
+  }
+]
+
+export const classifyTakeoutEntry = (path) => {
+  return LOCATION_HISTORY_KINDS.find(kind => kind.matches(path)) || null
+}
+
+export const listTakeoutLocationEntries = async (zipFile) => {
+  const entries = await listZipEntries(zipFile)
+
+  return entries
+    .map(entry => {
+      const classification = classifyTakeoutEntry(entry.name)
+      return classification
+        ? { ...entry, kind: classification.kind, label: classification.label }
+        : null
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.name.localeCompare(b.name))
+}
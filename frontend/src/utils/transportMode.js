@@ -0,0 +1,103 @@
+export const TRANSPORT_MODES = {
+  WALKING: 'walking',
+  CYCLING: 'cycling',
+  DRIVING: 'driving',
+  BUS: 'bus',
+  RAIL: 'rail',
+  FLIGHT: 'flight',
+  FERRY: 'ferry'
+}
+
+export const MODE_SOURCES = {
+  ACTIVITY: 'activity',
+  SPEED: 'speed',
+  USER: 'user'
+}
+
+const ACTIVITY_MODES = {
+  WALKING: TRANSPORT_MODES.WALKING,
+  ON_FOOT: TRANSPORT_MODES.WALKING,
+  RUNNING: TRANSPORT_MODES.WALKING,
+  HIKING: TRANSPORT_MODES.WALKING,
+  ON_BICYCLE: TRANSPORT_MODES.CYCLING,
+  CYCLING: TRANSPORT_MODES.CYCLING,
+  IN_PASSENGER_VEHICLE: TRANSPORT_MODES.DRIVING,
+  IN_VEHICLE: TRANSPORT_MODES.DRIVING,
+  IN_ROAD_VEHICLE: TRANSPORT_MODES.DRIVING,
+  IN_CAR: TRANSPORT_MODES.DRIVING,
+  DRIVING: TRANSPORT_MODES.DRIVING,
+  IN_TAXI: TRANSPORT_MODES.DRIVING,
+  MOTORCYCLING: TRANSPORT_MODES.DRIVING,
+  IN_BUS: TRANSPORT_MODES.BUS,
+  IN_TRAIN: TRANSPORT_MODES.RAIL,
+  IN_SUBWAY: TRANSPORT_MODES.RAIL,
+  IN_TRAM: TRANSPORT_MODES.RAIL,
+  IN_RAIL_VEHICLE: TRANSPORT_MODES.RAIL,
+  FLYING: TRANSPORT_MODES.FLIGHT,
+  IN_AIRPLANE: TRANSPORT_MODES.FLIGHT,
+  IN_FERRY: TRANSPORT_MODES.FERRY,
+  SAILING: TRANSPORT_MODES.FERRY,
+  BOATING: TRANSPORT_MODES.FERRY
+}
+
+export const DEFAULT_CLASSIFICATION_OPTIONS = {
+  maxWalkingMph: 4.5,
+  maxCyclingMph: 16,
+  minRailMph: 100,
+  minFlightMph: 150
+}
+
+const averageSpeedMph = (trip) => {
+  return trip.duration > 0 ? trip.distance / (trip.duration / 60) : 0
+}
+
+const classifyBySpeed = (trip, { maxWalkingMph, maxCyclingMph, minRailMph, minFlightMph }) => {
+  const averageSpeed = averageSpeedMph(trip)
+  const peakSpeed = trip.maxSpeedMph ?? averageSpeed
+
+  if (averageSpeed >= minFlightMph) return TRANSPORT_MODES.FLIGHT
+  if (averageSpeed >= minRailMph) return TRANSPORT_MODES.RAIL
+  if (averageSpeed <= maxWalkingMph && peakSpeed <= maxWalkingMph * 1.5) return TRANSPORT_MODES.WALKING
+  if (averageSpeed <= maxCyclingMph && peakSpeed <= maxCyclingMph * 1.5) return TRANSPORT_MODES.CYCLING
+  return TRANSPORT_MODES.DRIVING
+}
+
+export const classifyTrip = (trip, options = {}) => {
+  const settings = { ...DEFAULT_CLASSIFICATION_OPTIONS, ...options }
+  const hintedMode = ACTIVITY_MODES[trip.activityType] || null
+  const speedMode = classifyBySpeed(trip, settings)
+
+  // No road vehicle averages airliner speeds, whatever the activity recogniser claimed.
+  if (hintedMode && !(speedMode === TRANSPORT_MODES.FLIGHT && hintedMode !== TRANSPORT_MODES.FLIGHT)) {
+    return { mode: hintedMode, modeSource: MODE_SOURCES.ACTIVITY }
+  }
+
+  return { mode: speedMode, modeSource: MODE_SOURCES.SPEED }
+}
+
+export const classifyTrips = (trips, { overrides = {}, ...options } = {}) => {
+  return trips.map(trip => {
+    if (overrides[trip.id]) {
+      return { ...trip, mode: overrides[trip.id], modeSource: MODE_SOURCES.USER }
+    }
+    return { ...trip, ...classifyTrip(trip, options) }
+  })
+}
+
+export const summarizeModes = (trips) => {
+  const summary = {}
+
+  for (let trip of trips) {
+    if (!summary[trip.mode]) {
+      summary[trip.mode] = { trips: 0, distance: 0 }
+    }
+    summary[trip.mode].trips++
+    summary[trip.mode].distance += trip.distance
+  }
+
+  for (let mode of Object.keys(summary)) {
+    summary[mode].distance = parseFloat(summary[mode].distance.toFixed(1))
+  }
+
+  return summary
+}
@@ -0,0 +1,253 @@
+import { calculateDistance } from './distance.js'
+import { estimatePathDistance } from './roadDistance.js'
+import { HIGHWAY_SPEED_MPH } from './energyModel.js'
+
+export const DEFAULT_SEGMENTATION_OPTIONS = {
+  dwellRadiusMeters: 200,
+  minDwellMinutes: 10,
+  maxGapMinutes: 120,
+  minTripMiles: 0.1,
+  stayMatchMinutes: 30
+}
+
+// Stops only show up in the trace when it is sampled at least this often.
+const MAX_STOP_SAMPLE_SECONDS = 60
+const STOPPED_MPH = 3
+const MOVING_MPH = 10
+const ELEVATION_NOISE_METERS = 5
+
+const distanceMeters = (a, b) => {
+  return calculateDistance(a.latitude, a.longitude, b.latitude, b.longitude, 'km') * 1000
+}
+
+const createStay = (points, startIndex, endIndex) => {
+  const cluster = points.slice(startIndex, endIndex + 1)
+  const arrivalTime = cluster[0].timestamp
+  const departureTime = cluster[cluster.length - 1].timestamp
+
+  return {
+    id: Math.random().toString(36).substr(2, 9),
+    latitude: cluster.reduce((sum, point) => sum + point.latitude, 0) / cluster.length,
+    longitude: cluster.reduce((sum, point) => sum + point.longitude, 0) / cluster.length,
+    arrivalTime,
+    departureTime,
+    durationMinutes: (departureTime - arrivalTime) / 1000 / 60,
+    startIndex,
+    endIndex
+  }
+}
+
+export const detectStayPoints = (points, options = {}) => {
+  const { dwellRadiusMeters, minDwellMinutes } = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options }
+  const minDwellMs = minDwellMinutes * 60 * 1000
+  const stays = []
+  let i = 0
+
+  while (i < points.length) {
+    let j = i + 1
+    while (j < points.length && distanceMeters(points[i], points[j]) <= dwellRadiusMeters) {
+      j++
+    }
+
+    if (points[j - 1].timestamp - points[i].timestamp >= minDwellMs) {
+      stays.push(createStay(points, i, j - 1))
+      i = j
+    } else {
+      i++
+    }
+  }
+
+  return stays
+}
+
+const toStaySummary = (stay) => {
+  if (!stay) return null
+
+  const { startIndex, endIndex, ...summary } = stay
+  return summary
+}
+
+const dominantActivityType = (locations) => {
+  const counts = new Map()
+  for (let location of locations) {
+    if (location.activityType && location.activityType !== 'STILL') {
+      counts.set(location.activityType, (counts.get(location.activityType) || 0) + 1)
+    }
+  }
+
+  let dominant = null
+  for (let [activityType, count] of counts) {
+    if (!dominant || count > counts.get(dominant)) dominant = activityType
+  }
+  return dominant
+}
+
+const percentile = (values, fraction) => {
+  if (values.length === 0) return null
+  const sorted = [...values].sort((a, b) => a - b)
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * fraction))]
+}
+
+const summarizeSpeedProfile = (segments, distance) => {
+  const profile = { cityMiles: 0, highwayMiles: 0, cityHours: 0, highwayHours: 0 }
+  let stops = 0
+  let moving = false
+
+  for (let segment of segments) {
+    const speed = segment.hours > 0 ? segment.miles / segment.hours : 0
+    const key = speed >= HIGHWAY_SPEED_MPH ? 'highway' : 'city'
+    profile[`${key}Miles`] += segment.miles
+    profile[`${key}Hours`] += segment.hours
+
+    if (speed >= MOVING_MPH) moving = true
+    if (moving && speed < STOPPED_MPH) {
+      stops++
+      moving = false
+    }
+  }
+
+  const measured = profile.cityMiles + profile.highwayMiles
+  const scale = measured > 0 ? distance / measured : 0
+  const intervals = segments.map(segment => segment.hours * 3600)
+
+  return {
+    cityMiles: parseFloat((profile.cityMiles * scale).toFixed(2)),
+    highwayMiles: parseFloat((profile.highwayMiles * scale).toFixed(2)),
+    cityAverageMph: profile.cityHours > 0 ? parseFloat((profile.cityMiles / profile.cityHours).toFixed(1)) : 0,
+    highwayAverageMph: profile.highwayHours > 0 ? parseFloat((profile.highwayMiles / profile.highwayHours).toFixed(1)) : 0,
+    stops: percentile(intervals, 0.5) <= MAX_STOP_SAMPLE_SECONDS ? stops : null
+  }
+}
+
+const elevationChange = (locations) => {
+  let gain = 0
+  let loss = 0
+  let reference = null
+
+  for (let location of locations) {
+    if (location.altitude === null || location.altitude === undefined) continue
+    if (reference === null) {
+      reference = location.altitude
+    } else if (Math.abs(location.altitude - reference) >= ELEVATION_NOISE_METERS) {
+      if (location.altitude > reference) {
+        gain += location.altitude - reference
+      } else {
+        loss += reference - location.altitude
+      }
+      reference = location.altitude
+    }
+  }
+
+  return { gain: Math.round(gain), loss: Math.round(loss) }
+}
+
+const processTrip = (locations, originStay, destinationStay, options) => {
+  const segments = []
+
+  for (let i = 1; i < locations.length; i++) {
+    segments.push({
+      miles: calculateDistance(
+        locations[i - 1].latitude, locations[i - 1].longitude,
+        locations[i].latitude, locations[i].longitude
+      ),
+      hours: (locations[i].timestamp - locations[i - 1].timestamp) / 1000 / 3600
+    })
+  }
+
+  const segmentSpeeds = segments.filter(segment => segment.hours > 0).map(segment => segment.miles / segment.hours)
+  const peakSpeed = percentile(segmentSpeeds, 0.95)
+  const { distance, method } = estimatePathDistance(locations, options)
+  const elevation = elevationChange(locations)
+
+  return {
+    id: Math.random().toString(36).substr(2, 9),
+    startTime: locations[0].timestamp,
+    endTime: locations[locations.length - 1].timestamp,
+    distance: parseFloat(distance.toFixed(2)),
+    distanceMethod: method,
+    startLocation: {
+      lat: locations[0].latitude,
+      lng: locations[0].longitude
+    },
+    endLocation: {
+      lat: locations[locations.length - 1].latitude,
+      lng: locations[locations.length - 1].longitude
+    },
+    duration: (locations[locations.length - 1].timestamp - locations[0].timestamp) / 1000 / 60,
+    maxSpeedMph: peakSpeed !== null ? parseFloat(peakSpeed.toFixed(1)) : null,
+    speedProfile: summarizeSpeedProfile(segments, distance),
+    elevationGainMeters: elevation.gain,
+    elevationLossMeters: elevation.loss,
+    activityType: dominantActivityType(locations),
+    originStay: toStaySummary(originStay),
+    destinationStay: toStaySummary(destinationStay)
+  }
+}
+
+const splitOnGaps = (points, maxGapMs) => {
+  const parts = []
+  let current = []
+
+  for (let point of points) {
+    const previous = current[current.length - 1]
+    if (previous && point.timestamp - previous.timestamp > maxGapMs) {
+      parts.push(current)
+      current = []
+    }
+    current.push(point)
+  }
+  if (current.length > 0) parts.push(current)
+
+  return parts
+}
+
+export const segmentTrips = (points, options = {}) => {
+  const settings = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options }
+  if (points.length < 2) return { trips: [], stays: [] }
+
+  const sorted = [...points].sort((a, b) => a.timestamp - b.timestamp)
+  const stays = detectStayPoints(sorted, settings)
+  const trips = []
+
+  for (let i = 0; i <= stays.length; i++) {
+    const originStay = stays[i - 1] || null
+    const destinationStay = stays[i] || null
+    const start = originStay ? originStay.endIndex : 0
+    const end = destinationStay ? destinationStay.startIndex : sorted.length - 1
+    if (end <= start) continue
+
+    const parts = splitOnGaps(sorted.slice(start, end + 1), settings.maxGapMinutes * 60 * 1000)
+    parts.forEach((part, index) => {
+      if (part.length < 2) return
+      trips.push(processTrip(
+        part,
+        index === 0 ? originStay : null,
+        index === parts.length - 1 ? destinationStay : null,
+        settings
+      ))
+    })
+  }
+
+  return {
+    trips: trips.filter(trip => trip.distance > settings.minTripMiles),
+    stays: stays.map(toStaySummary)
+  }
+}
+
+export const attachStays = (trips, stays, options = {}) => {
+  const { stayMatchMinutes } = { ...DEFAULT_SEGMENTATION_OPTIONS, ...options }
+  const toleranceMs = stayMatchMinutes * 60 * 1000
+
+  const findStay = (time, edge) => {
+    return stays.find(stay => {
+      const stayTime = edge === 'departure' ? stay.departureTime : stay.arrivalTime
+      return Math.abs(stayTime - time) <= toleranceMs
+    }) || null
+  }
+
+  return trips.map(trip => ({
+    ...trip,
+    originStay: trip.originStay ?? findStay(trip.startTime, 'departure'),
+    destinationStay: trip.destinationStay ?? findStay(trip.endTime, 'arrival')
+  }))
+}
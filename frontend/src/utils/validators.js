@@ -22,6 +22,14 @@ export const isValidEfficiency = (efficiency) => {
   return typeof efficiency === 'number' && efficiency > 0 && efficiency <= 10
 }
 
+export const isValidBatteryCapacity = (capacity) => {
+  return typeof capacity === 'number' && capacity > 0 && capacity <= 300
+}
+
+export const isValidRegenEfficiency = (efficiency) => {
+  return typeof efficiency === 'number' && efficiency >= 0 && efficiency <= 100
+}
+
 export const isValidVehicleConfig = (config) => {
   if (!config || typeof config !== 'object') {
     return { isValid: false, errors: ['Vehicle configuration is required'] }
@@ -45,6 +53,78 @@ export const isValidVehicleConfig = (config) => {
     errors.push('Efficiency must be a number between 0.1 and 10 miles per kWh')
   }
 
+  if (config.batteryCapacity && !isValidBatteryCapacity(config.batteryCapacity)) {
+    errors.push('Battery capacity must be a number between 1 and 300 kWh')
+  }
+
+  if (config.regenEfficiency && !isValidRegenEfficiency(config.regenEfficiency)) {
+    errors.push('Regenerative braking efficiency must be a percentage between 0 and 100')
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  }
+}
+
+const isValidCurrencyCode = (currency) => {
+  if (typeof currency !== 'string' || !/^[A-Z]{3}$/.test(currency)) return false
+  try {
+    new Intl.NumberFormat('en-US', { style: 'currency', currency })
+    return true
+  } catch {
+    return false
+  }
+}
+
+// A day's windows must run from 0 to 24 hours with each one starting where the previous ends.
+const tariffDayErrors = (windows, dayLabel) => {
+  if (!Array.isArray(windows) || windows.length === 0) {
+    return [`${dayLabel} needs at least one time window`]
+  }
+
+  const errors = []
+  const sorted = [...windows].sort((a, b) => a.startHour - b.startHour)
+  let coveredUntil = 0
+
+  for (let window of sorted) {
+    const { startHour, endHour, price } = window
+    if (![startHour, endHour].every(hour => typeof hour === 'number' && hour >= 0 && hour <= 24) || startHour >= endHour) {
+      errors.push(`${dayLabel} window ${startHour}–${endHour} must start before it ends, between 0 and 24 hours`)
+      continue
+    }
+    if (typeof price !== 'number' || !Number.isFinite(price) || price < 0) {
+      errors.push(`${dayLabel} window ${startHour}–${endHour} needs a price of zero or more`)
+    }
+    if (startHour > coveredUntil) {
+      errors.push(`${dayLabel} has no price between ${coveredUntil} and ${startHour} hours`)
+    } else if (startHour < coveredUntil) {
+      errors.push(`${dayLabel} windows overlap between ${startHour} and ${Math.min(coveredUntil, endHour)} hours`)
+    }
+    coveredUntil = Math.max(coveredUntil, endHour)
+  }
+
+  if (coveredUntil < 24) {
+    errors.push(`${dayLabel} has no price between ${coveredUntil} and 24 hours`)
+  }
+
+  return errors
+}
+
+export const isValidTariff = (tariff) => {
+  if (!tariff || typeof tariff !== 'object') {
+    return { isValid: false, errors: ['Tariff is required'] }
+  }
+
+  const errors = []
+
+  if (!isValidCurrencyCode(tariff.currency)) {
+    errors.push('Currency must be a three-letter code such as USD, GBP or EUR')
+  }
+
+  errors.push(...tariffDayErrors(tariff.weekday, 'Weekdays'))
+  errors.push(...tariffDayErrors(tariff.weekend, 'Weekends'))
+
   return {
     isValid: errors.length === 0,
     errors
@@ -0,0 +1,24 @@
+export const vehicleLabel = (vehicle) => {
+  return [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ')
+}
+
+export const matchesVehicleSearch = (vehicle, query) => {
+  const haystack = vehicleLabel(vehicle).toLowerCase()
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term))
+}
+
+export const presetToVehicleConfig = (preset, overrides = {}) => {
+  return {
+    name: vehicleLabel(preset),
+    batteryRange: preset.rangeMiles,
+    efficiency: preset.efficiencyMilesPerKwh,
+    batteryCapacity: preset.batteryCapacityKwh,
+    maxChargingSpeedKw: preset.maxChargingSpeedKw,
+    chargingSpeed: preset.maxChargingSpeedKw && preset.efficiencyMilesPerKwh
+      ? Math.round(preset.maxChargingSpeedKw * preset.efficiencyMilesPerKwh)
+      : null,
+    weightLbs: preset.weightLbs || null,
+    presetId: preset.id,
+    ...overrides
+  }
+}
@@ -0,0 +1,135 @@
+const END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50
+const ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06064b50
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50
+const CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50
+const LOCAL_HEADER_SIGNATURE = 0x04034b50
+const ZIP64_EXTRA_FIELD_ID = 0x0001
+const MAX_COMMENT_LENGTH = 0xffff
+const END_RECORD_LENGTH = 22
+const LOCAL_HEADER_LENGTH = 30
+
+const METHOD_STORED = 0
+const METHOD_DEFLATED = 8
+
+const readView = async (file, start, end) => {
+  const buffer = await file.slice(start, end).arrayBuffer()
+  return new DataView(buffer)
+}
+
+const readUint64 = (view, offset) => Number(view.getBigUint64(offset, true))
+
+const findEndOfCentralDirectory = async (file) => {
+  const searchStart = Math.max(0, file.size - END_RECORD_LENGTH - MAX_COMMENT_LENGTH)
+  const view = await readView(file, searchStart, file.size)
+
+  for (let offset = view.byteLength - END_RECORD_LENGTH; offset >= 0; offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+      return { view, offset, absoluteOffset: searchStart + offset }
+    }
+  }
+
+  throw new Error(`${file.name} is not a valid zip archive`)
+}
+
+const readCentralDirectoryLocation = async (file) => {
+  const { view, offset, absoluteOffset } = await findEndOfCentralDirectory(file)
+
+  const location = {
+    entryCount: view.getUint16(offset + 10, true),
+    size: view.getUint32(offset + 12, true),
+    offset: view.getUint32(offset + 16, true)
+  }
+
+  const needsZip64 = location.entryCount === 0xffff || location.size === 0xffffffff || location.offset === 0xffffffff
+  if (!needsZip64 || absoluteOffset < 20) return location
+
+  const locator = await readView(file, absoluteOffset - 20, absoluteOffset)
+  if (locator.getUint32(0, true) !== ZIP64_LOCATOR_SIGNATURE) return location
+
+  const zip64Offset = readUint64(locator, 8)
+  const zip64End = await readView(file, zip64Offset, zip64Offset + 56)
+  if (zip64End.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_SIGNATURE) {
+    throw new Error(`${file.name} has a corrupt ZIP64 directory`)
+  }
+
+  return {
+    entryCount: readUint64(zip64End, 32),
+    size: readUint64(zip64End, 40),
+    offset: readUint64(zip64End, 48)
+  }
+}
+
+const applyZip64Extra = (view, extraStart, extraLength, entry) => {
+  let offset = extraStart
+  const extraEnd = extraStart + extraLength
+
+  while (offset + 4 <= extraEnd) {
+    const id = view.getUint16(offset, true)
+    const size = view.getUint16(offset + 2, true)
+
+    if (id === ZIP64_EXTRA_FIELD_ID) {
+      let field = offset + 4
+      for (let key of ['uncompressedSize', 'compressedSize', 'localHeaderOffset']) {
+        if (entry[key] === 0xffffffff) {
+          entry[key] = readUint64(view, field)
+          field += 8
+        }
+      }
+      return
+    }
+
+    offset += 4 + size
+  }
+}
+
+export const listZipEntries = async (file) => {
+  const location = await readCentralDirectoryLocation(file)
+  const view = await readView(file, location.offset, location.offset + location.size)
+  const decoder = new TextDecoder()
+  const entries = []
+
+  let offset = 0
+  for (let i = 0; i < location.entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_SIGNATURE) {
+      throw new Error(`${file.name} has a corrupt central directory`)
+    }
+
+    const nameLength = view.getUint16(offset + 28, true)
+    const extraLength = view.getUint16(offset + 30, true)
+    const commentLength = view.getUint16(offset + 32, true)
+    const nameStart = offset + 46
+
+    const entry = {
+      name: decoder.decode(new Uint8Array(view.buffer, nameStart, nameLength)),
+      method: view.getUint16(offset + 10, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      uncompressedSize: view.getUint32(offset + 24, true),
+      localHeaderOffset: view.getUint32(offset + 42, true)
+    }
+    applyZip64Extra(view, nameStart + nameLength, extraLength, entry)
+
+    if (!entry.name.endsWith('/')) {
+      entries.push(entry)
+    }
+
+    offset = nameStart + nameLength + extraLength + commentLength
+  }
+
+  return entries
+}
+
+export const openZipEntryStream = async (file, entry) => {
+  const header = await readView(file, entry.localHeaderOffset, entry.localHeaderOffset + LOCAL_HEADER_LENGTH)
+  if (header.getUint32(0, true) !== LOCAL_HEADER_SIGNATURE) {
+    throw new Error(`${entry.name} has a corrupt local header`)
+  }
+
+  const dataStart = entry.localHeaderOffset + LOCAL_HEADER_LENGTH +
+    header.getUint16(26, true) + header.getUint16(28, true)
+  const compressed = file.slice(dataStart, dataStart + entry.compressedSize).stream()
+
+  if (entry.method === METHOD_STORED) return compressed
+  if (entry.method === METHOD_DEFLATED) return compressed.pipeThrough(new DecompressionStream('deflate-raw'))
+
+  throw new Error(`${entry.name} uses unsupported compression method ${entry.method}`)
+}
@@ -0,0 +1,54 @@
+import { createAnalysisEngine } from '../utils/analysisEngine.js'
+import { AnalysisCancelledError } from '../utils/analysisStages.js'
+
+const engine = createAnalysisEngine()
+const pendingRequests = new Set()
+const cancelledRequests = new Set()
+
+const hooksFor = (id) => ({
+  onStage: stage => self.postMessage({ type: 'progress', id, stage }),
+  isCancelled: () => cancelledRequests.has(id)
+})
+
+const handleRequest = ({ type, id, ...payload }) => {
+  switch (type) {
+    case 'analyze':
+      return engine.analyze(payload, hooksFor(id))
+    case 'rescore':
+      return engine.rescore(payload, hooksFor(id))
+    case 'compare':
+      return engine.compareVehicles(payload.vehicleConfigs)
+    default:
+      throw new Error(`Unknown analysis request: ${type}`)
+  }
+}
+
+self.onmessage = async (event) => {
+  const { type, id } = event.data
+
+  if (type === 'cancel') {
+    // A cancel for a request that already settled has nothing to stop, and would never be cleared.
+    if (pendingRequests.has(id)) cancelledRequests.add(id)
+    return
+  }
+
+  pendingRequests.add(id)
+  try {
+    const results = await handleRequest(event.data)
+    self.postMessage({ type: 'result', id, results })
+  } catch (error) {
+    if (error instanceof AnalysisCancelledError) {
+      self.postMessage({ type: 'cancelled', id })
+    } else {
+      self.postMessage({
+        type: 'error',
+        id,
+        stage: error.stage || null,
+        message: error.cause ? error.cause.message : error.message
+      })
+    }
+  } finally {
+    pendingRequests.delete(id)
+    cancelledRequests.delete(id)
+  }
+}
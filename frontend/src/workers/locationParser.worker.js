@@ -0,0 +1,80 @@
+import { createJsonLocationStream, parseJsonLocationData } from '../utils/parsers/json.js'
+import { createCsvLocationStream } from '../utils/parsers/csv.js'
+import { openZipEntryStream } from '../utils/zip.js'
+
+const STREAMING_THRESHOLD_BYTES = 32 * 1024 * 1024
+const BATCH_SIZE = 5000
+const PROGRESS_INTERVAL_MS = 100
+
+let pointsParsed = 0
+let lastProgressAt = 0
+
+const postBatch = ({ points, trips }) => {
+  if (points.length === 0 && trips.length === 0) return
+  pointsParsed += points.length
+  self.postMessage({ type: 'batch', points, trips })
+}
+
+const postProgress = (bytesRead, totalBytes, force = false) => {
+  const now = Date.now()
+  if (!force && now - lastProgressAt < PROGRESS_INTERVAL_MS) return
+  lastProgressAt = now
+  self.postMessage({ type: 'progress', bytesRead, totalBytes, pointsParsed })
+}
+
+const openSource = async (file, entry) => {
+  if (!entry) {
+    return { byteStream: file.stream(), totalBytes: file.size }
+  }
+  return { byteStream: await openZipEntryStream(file, entry), totalBytes: entry.uncompressedSize }
+}
+
+const parseWholeJson = async (byteStream) => {
+  const text = await new Response(byteStream).text()
+  const { points, trips } = parseJsonLocationData(JSON.parse(text))
+
+  for (let i = 0; i < points.length; i += BATCH_SIZE) {
+    postBatch({ points: points.slice(i, i + BATCH_SIZE), trips: i === 0 ? trips : [] })
+  }
+  if (points.length === 0) postBatch({ points, trips })
+}
+
+const streamSource = async (byteStream, totalBytes, stream) => {
+  const reader = byteStream.getReader()
+  const decoder = new TextDecoder()
+  let bytesRead = 0
+
+  while (true) {
+    const { done, value } = await reader.read()
+    if (done) break
+
+    bytesRead += value.byteLength
+    stream.write(decoder.decode(value, { stream: true }))
+    postProgress(bytesRead, totalBytes)
+  }
+
+  stream.write(decoder.decode())
+  stream.end()
+}
+
+self.onmessage = async (event) => {
+  const { file, entry, format, csvMapping } = event.data
+  pointsParsed = 0
+
+  try {
+    const { byteStream, totalBytes } = await openSource(file, entry)
+
+    if (format === 'csv') {
+      await streamSource(byteStream, totalBytes, createCsvLocationStream(postBatch, csvMapping, BATCH_SIZE))
+    } else if (totalBytes > STREAMING_THRESHOLD_BYTES) {
+      await streamSource(byteStream, totalBytes, createJsonLocationStream(postBatch, BATCH_SIZE))
+    } else {
+      await parseWholeJson(byteStream)
+    }
+
+    postProgress(totalBytes, totalBytes, true)
+    self.postMessage({ type: 'done', pointsParsed })
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message })
+  }
+}
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  calendarAgingFactor,
+  degradeVehicleConfig,
+  projectBatteryDegradation,
+  projectCapacity
+} from '../src/utils/batteryDegradation.js'
+
+test('calendar aging doubles every 18°F above the reference temperature', () => {
+  assert.equal(calendarAgingFactor([59, 59]), 1)
+  assert.equal(calendarAgingFactor([77]), 2)
+  assert.equal(calendarAgingFactor([]), 1)
+  // Averaging rates means one hot month outweighs an equally cool one.
+  assert.ok(calendarAgingFactor([41, 77]) > 1)
+})
+
+test('projects capacity from calendar and cycle fade', () => {
+  // 3% per square-root year of calendar fade plus 0.012% per cycle.
+  assert.ok(Math.abs(projectCapacity(4, 0, 1) - 0.94) < 1e-9)
+  assert.ok(Math.abs(projectCapacity(4, 250, 1) - 0.82) < 1e-9)
+  assert.ok(projectCapacity(4, 0, 2) < projectCapacity(4, 0, 1))
+  assert.equal(projectCapacity(50, 1000, 3), 0.5)
+})
+
+test('scales range and capacity of the vehicle', () => {
+  const vehicle = { batteryRange: 300, batteryCapacity: 75, efficiency: 4 }
+
+  assert.deepEqual(degradeVehicleConfig(vehicle, 0.8), { batteryRange: 240, batteryCapacity: 60, efficiency: 4 })
+  assert.equal(degradeVehicleConfig({ batteryRange: 300 }, 0.8).batteryCapacity, undefined)
+})
+
+test('reports the year each feasibility threshold is first missed', () => {
+  const evaluate = capacity => ({ feasibilityScore: Math.round(100 * capacity - 5) })
+  const result = projectBatteryDegradation(evaluate, { cyclesPerYear: 200, normalsF: [59], currentScore: 95 })
+
+  assert.deepEqual(result.projections.map(projection => projection.year), [1, 3, 5, 8])
+  assert.equal(result.projections[0].capacityPercent, 95)
+  assert.equal(result.calendarAgingFactor, 1)
+  assert.deepEqual(result.thresholdCrossings, [
+    { threshold: 90, year: 3 },
+    { threshold: 70, year: 8 },
+    { threshold: 50, year: null }
+  ])
+})
+
+test('skips thresholds the vehicle already misses today', () => {
+  const result = projectBatteryDegradation(() => ({ feasibilityScore: 60 }), { cyclesPerYear: 100, currentScore: 60 })
+
+  assert.deepEqual(result.thresholdCrossings, [{ threshold: 50, year: null }])
+})
@@ -0,0 +1,73 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { optimizeChargingSchedule } from '../src/utils/chargingSchedule.js'
+import { createCustomTariff } from '../src/utils/electricityTariffs.js'
+import { PLACE_TYPES } from '../src/utils/places.js'
+
+const HOME = { lat: 44.97, lng: -93.26 }
+const WORK = { lat: 44.98, lng: -93.1 }
+const PLACES = [
+  { type: PLACE_TYPES.HOME, latitude: HOME.lat, longitude: HOME.lng },
+  { type: PLACE_TYPES.WORK, latitude: WORK.lat, longitude: WORK.lng }
+]
+
+const OVERNIGHT = [
+  { startHour: 0, endHour: 7, price: 0.1 },
+  { startHour: 7, endHour: 24, price: 0.3 }
+]
+const TARIFF = createCustomTariff({ currency: 'USD', weekday: OVERNIGHT, weekend: OVERNIGHT })
+
+// Weekday commutes starting Monday 4 March 2024: out at 8:00, home by 18:00.
+const commute = (days, legKwh) => {
+  const trips = []
+  for (let day = 0; day < days; day++) {
+    const at = hour => new Date(2024, 2, 4 + day, hour)
+    trips.push(
+      { startTime: at(8), endTime: at(9), startLocation: HOME, endLocation: WORK, energyKwh: legKwh },
+      { startTime: at(17), endTime: at(18), startLocation: WORK, endLocation: HOME, energyKwh: legKwh }
+    )
+  }
+  return trips
+}
+
+test('moves overnight charging into the off-peak window', () => {
+  const schedule = optimizeChargingSchedule(commute(3, 10), { batteryCapacityKwh: 75 }, PLACES, TARIFF)
+
+  assert.equal(schedule.overnightStays, 2)
+  // Each night puts back the 20 kWh the day used, drawing 22.2 kWh from the grid.
+  assert.equal(schedule.energyKwh, 44.4)
+  assert.equal(schedule.effectivePricePerKwh, 0.1)
+  assert.equal(schedule.monthlyOptimizedCost, 4.44)
+  assert.equal(schedule.monthlyNaiveCost, 13.33)
+  assert.equal(schedule.monthlySavings, 8.89)
+  assert.deepEqual(schedule.schedule.weekday, { start: '00:00', end: '03:15', nights: 2 })
+  assert.equal(schedule.schedule.weekend, null)
+  assert.equal(schedule.shortfallDays, 0)
+})
+
+test('flags mornings the off-peak window alone cannot cover', () => {
+  const schedule = optimizeChargingSchedule(commute(2, 35), { batteryCapacityKwh: 100 }, PLACES, TARIFF)
+
+  assert.equal(schedule.shortfallDays, 1)
+  const [shortfall] = schedule.shortfalls
+  assert.equal(shortfall.requiredSoc, 80)
+  assert.equal(shortfall.morningSoc, 65)
+  assert.equal(shortfall.missingKwh, 14.6)
+})
+
+test('reports the off-peak rate when nothing needs charging at home', () => {
+  const awayPlaces = PLACES.filter(place => place.type !== PLACE_TYPES.HOME)
+  const schedule = optimizeChargingSchedule(commute(3, 10), { batteryCapacityKwh: 75 }, awayPlaces, TARIFF)
+
+  assert.equal(schedule.overnightStays, 0)
+  assert.equal(schedule.energyKwh, 0)
+  assert.equal(schedule.effectivePricePerKwh, 0.1)
+})
+
+test('returns null without trips or a home charger', () => {
+  assert.equal(optimizeChargingSchedule([], { batteryCapacityKwh: 75 }, PLACES, TARIFF), null)
+  assert.equal(
+    optimizeChargingSchedule(commute(2, 10), { batteryCapacityKwh: 75 }, PLACES, TARIFF, { charger: { powerKw: 0 } }),
+    null
+  )
+})
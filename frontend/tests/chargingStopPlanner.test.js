@@ -0,0 +1,61 @@
+import { afterEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TRIP_PLAN_STATUS, planChargingStops } from '../src/utils/chargingStopPlanner.js'
+import { evaluationService } from '../src/services/evaluationService.js'
+
+const PARAMS = { batteryCapacityKwh: 60, ratedEfficiency: 3.5 }
+
+// 300 miles due north at 0.3 kWh/mile: one 60 kWh pack covers about half of it.
+const TRIP = {
+  id: 'road-trip',
+  startTime: new Date('2024-06-01T08:00:00Z'),
+  distance: 300,
+  duration: 300,
+  energyKwh: 90,
+  temperatureF: 70,
+  startLocation: { lat: 40, lng: -100 },
+  endLocation: { lat: 44.35, lng: -100 }
+}
+
+const stationAt = (latitude, longitude) => ({
+  id: `${latitude.toFixed(2)},${longitude.toFixed(2)}`,
+  name: 'Roadside DC',
+  latitude,
+  longitude,
+  maxPowerKw: 150
+})
+
+afterEach(() => mock.restoreAll())
+
+test('plans stops at stations along the route', async () => {
+  mock.method(evaluationService, 'getChargingStations', async (latitude, longitude) => [stationAt(latitude, longitude)])
+
+  const plan = await planChargingStops(TRIP, PARAMS, 150)
+
+  assert.equal(plan.status, TRIP_PLAN_STATUS.INCONVENIENT)
+  assert.ok(plan.stops.length >= 1)
+  assert.ok(plan.stops.every(stop => stop.arriveSoc >= 10))
+  assert.ok(plan.chargingMinutes > 0)
+  assert.equal(plan.totalMinutes, plan.drivingMinutes + plan.chargingMinutes + plan.detourMinutes)
+})
+
+test('marks a trip impossible when no station is in reach', async () => {
+  mock.method(evaluationService, 'getChargingStations', async () => [])
+
+  const plan = await planChargingStops(TRIP, PARAMS, 150)
+
+  assert.equal(plan.status, TRIP_PLAN_STATUS.IMPOSSIBLE)
+  assert.match(plan.reason, /No reachable charging station/)
+})
+
+test('reports the plan as unavailable when the station lookup fails', async () => {
+  mock.method(evaluationService, 'getChargingStations', async () => {
+    throw new Error('Failed to load charging stations: offline')
+  })
+
+  const plan = await planChargingStops(TRIP, PARAMS, 150)
+
+  assert.equal(plan.status, TRIP_PLAN_STATUS.UNAVAILABLE)
+  assert.match(plan.reason, /unavailable/)
+  assert.deepEqual(plan.stops, [])
+})
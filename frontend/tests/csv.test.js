@@ -0,0 +1,79 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  SPEED_UNITS,
+  TIMESTAMP_FORMATS,
+  createCsvLocationStream,
+  createCsvTokenizer,
+  previewCsv,
+  sniffDelimiter,
+  tokenizeCsv
+} from '../src/utils/parsers/csv.js'
+
+test('tokenizes quoted delimiters, doubled quotes and line breaks inside fields', () => {
+  const rows = tokenizeCsv('name,note\r\n"Home, sweet","said ""hi""\nthen left"\r\nWork,plain\n', ',')
+
+  assert.deepEqual(rows, [
+    ['name', 'note'],
+    ['Home, sweet', 'said "hi"\nthen left'],
+    ['Work', 'plain']
+  ])
+})
+
+test('gives the same rows however the text is split into chunks', () => {
+  const text = 'a;b\n"x;\r\n""y""";z\r\n1;2'
+  const whole = tokenizeCsv(text, ';')
+  assert.deepEqual(whole, [['a', 'b'], ['x;\r\n"y"', 'z'], ['1', '2']])
+
+  for (let chunkSize = 1; chunkSize <= 4; chunkSize++) {
+    const rows = []
+    const tokenizer = createCsvTokenizer(';', row => rows.push(row))
+    for (let i = 0; i < text.length; i += chunkSize) tokenizer.write(text.slice(i, i + chunkSize))
+    tokenizer.end()
+    assert.deepEqual(rows, whole)
+  }
+})
+
+test('sniffs the delimiter from a sample', () => {
+  assert.equal(sniffDelimiter('lat;lon;time\n52,1;4,9;2024-01-01\n52,2;4,8;2024-01-02\n'), ';')
+  assert.equal(sniffDelimiter('lat\tlon\ttime\n52.1\t4.9\t2024-01-01\n'), '\t')
+  assert.equal(sniffDelimiter('lat,lon,time\n52.1,4.9,"2024-01-01, 08:00"\n'), ',')
+})
+
+test('suggests columns and a day-first timestamp format', () => {
+  const preview = previewCsv('Time;Latitude;Longitude;hAcc;Speed\n13.01.2024 08:00;52,1;4,9;8;3\n14.01.2024 08:00;52,2;4,8;9;4\n')
+
+  assert.equal(preview.delimiter, ';')
+  assert.deepEqual(preview.suggestedMapping.columns, { latitude: 1, longitude: 2, timestamp: 0, accuracy: 3, speed: 4 })
+  assert.equal(preview.suggestedMapping.timestampFormat, TIMESTAMP_FORMATS.DAY_MONTH_YEAR)
+  assert.equal(preview.rows.length, 2)
+})
+
+test('streams points with decimal commas, epoch times and speed units', () => {
+  const batches = []
+  const stream = createCsvLocationStream(batch => batches.push(batch), {
+    delimiter: ';',
+    columns: { latitude: 1, longitude: 2, timestamp: 0, accuracy: -1, speed: 3 },
+    timestampFormat: TIMESTAMP_FORMATS.EPOCH_SECONDS,
+    speedUnit: SPEED_UNITS.KILOMETERS_PER_HOUR
+  }, 2)
+
+  const text = 'time;lat;lon;speed\n1704700800;44,97;-93,26;36\n1704700860;bad;-93,25;0\n1704700920;44,98;-93,24;72\n1704700980;44,99;-93,23;\n'
+  for (let i = 0; i < text.length; i += 5) stream.write(text.slice(i, i + 5))
+  stream.end()
+
+  const points = batches.flatMap(batch => batch.points)
+  assert.deepEqual(batches.map(batch => batch.points.length), [2, 1])
+  assert.deepEqual(points.map(point => point.latitude), [44.97, 44.98, 44.99])
+  assert.equal(points[0].timestamp.toISOString(), '2024-01-08T08:00:00.000Z')
+  assert.equal(points[0].speed, 10)
+  assert.equal(points[2].speed, null)
+})
+
+test('rejects an empty file and one without location columns', () => {
+  assert.throws(() => createCsvLocationStream(() => {}).end(), /CSV file is empty/)
+
+  const stream = createCsvLocationStream(() => {})
+  stream.write('name,notes\nHome,none\n')
+  assert.throws(() => stream.end(), /latitude, longitude and timestamp/)
+})
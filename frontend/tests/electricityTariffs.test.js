@@ -0,0 +1,47 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { TARIFF_IDS, createCustomTariff, resolveElectricityTariff, tariffPriceAt } from '../src/utils/electricityTariffs.js'
+import { isValidTariff } from '../src/utils/validators.js'
+
+const OVERNIGHT = [
+  { startHour: 7, endHour: 24, price: 0.3 },
+  { startHour: 0, endHour: 7, price: 0.1 }
+]
+
+test('a custom tariff sorts its windows and prices by local time', () => {
+  const tariff = createCustomTariff({ currency: ' eur ', weekday: OVERNIGHT, weekend: [{ startHour: 0, endHour: 24, price: 0.2 }] })
+
+  assert.equal(tariff.id, TARIFF_IDS.CUSTOM)
+  assert.equal(tariff.currency, 'EUR')
+  assert.deepEqual(tariff.weekday.map(window => window.startHour), [0, 7])
+  assert.equal(tariffPriceAt(tariff, new Date(2024, 0, 8, 3)), 0.1)
+  assert.equal(tariffPriceAt(tariff, new Date(2024, 0, 8, 18)), 0.3)
+  assert.equal(tariffPriceAt(tariff, new Date(2024, 0, 13, 3)), 0.2)
+})
+
+test('a vehicle with a custom tariff uses it and otherwise falls back to the named preset', () => {
+  const customTariff = createCustomTariff({ currency: 'EUR', weekday: OVERNIGHT, weekend: OVERNIGHT })
+
+  assert.equal(resolveElectricityTariff({ electricityTariff: TARIFF_IDS.CUSTOM, customTariff }), customTariff)
+  assert.equal(resolveElectricityTariff({ electricityTariff: TARIFF_IDS.UK_ECONOMY_7 }).currency, 'GBP')
+  assert.equal(resolveElectricityTariff({ electricityTariff: TARIFF_IDS.CUSTOM }).id, TARIFF_IDS.FLAT)
+})
+
+test('accepts windows that cover the whole day exactly once', () => {
+  assert.deepEqual(isValidTariff({ currency: 'USD', weekday: OVERNIGHT, weekend: OVERNIGHT }), { isValid: true, errors: [] })
+})
+
+test('rejects gaps, overlaps, bad prices and unknown currencies', () => {
+  const gap = [{ startHour: 0, endHour: 6, price: 0.1 }, { startHour: 7, endHour: 22, price: 0.3 }]
+  const overlap = [{ startHour: 0, endHour: 8, price: 0.1 }, { startHour: 7, endHour: 24, price: -0.3 }]
+  const { isValid, errors } = isValidTariff({ currency: 'XX', weekday: gap, weekend: overlap })
+
+  assert.equal(isValid, false)
+  assert.deepEqual(errors, [
+    'Currency must be a three-letter code such as USD, GBP or EUR',
+    'Weekdays has no price between 6 and 7 hours',
+    'Weekdays has no price between 22 and 24 hours',
+    'Weekends window 7–24 needs a price of zero or more',
+    'Weekends windows overlap between 7 and 8 hours'
+  ])
+})
@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateEmissions, findGridRegion, gridIntensityAt } from '../src/utils/emissions.js'
+import { GRID_REGIONS, WORLD_AVERAGE_REGION } from '../src/data/gridIntensity.js'
+import { PLACE_TYPES } from '../src/utils/places.js'
+
+const UPPER_MIDWEST = GRID_REGIONS.find(region => region.id === 'us-mrow')
+
+const simulation = (chargedKwh) => ({ chargedKwh, months: 1 })
+
+test('finds the nearest grid region and falls back to the world average', () => {
+  assert.equal(findGridRegion(44.97, -93.26).id, 'us-mrow')
+  assert.equal(findGridRegion(0, -140), WORLD_AVERAGE_REGION)
+})
+
+test('hourly intensity averages back to the regional figure', () => {
+  const hours = Array.from({ length: 24 }, (_, hour) => gridIntensityAt(UPPER_MIDWEST, hour))
+  const mean = hours.reduce((sum, value) => sum + value, 0) / hours.length
+
+  assert.ok(Math.abs(mean - UPPER_MIDWEST.averageGramsPerKwh) < 1e-9)
+  // Wind-shaped grids are cleanest overnight.
+  assert.ok(gridIntensityAt(UPPER_MIDWEST, 3) < gridIntensityAt(UPPER_MIDWEST, 18))
+})
+
+test('without a simulation every mile is charged at home at the rated efficiency', () => {
+  const result = calculateEmissions({ monthlyMiles: 1000, averageEfficiency: 4 })
+
+  assert.equal(result.regionId, 'world')
+  assert.equal(result.yearlyMiles, 12000)
+  // 3,000 kWh into the pack at 90% charging efficiency.
+  assert.equal(result.yearlyKwh, 3333)
+  assert.deepEqual(Object.keys(result.ev.byLocation), [PLACE_TYPES.HOME])
+  assert.equal(result.gas.yearlyKg, Math.round(12000 / 28 * 8887 / 1000))
+  assert.ok(result.yearlySavingsKg > 0)
+  assert.equal(result.reductionPercent, Math.round((1 - result.ev.yearlyKg / result.gas.yearlyKg) * 100))
+})
+
+test('prices each charging location at the hours it is used', () => {
+  const results = {
+    monthlyMiles: 1000,
+    socSimulation: simulation({ [PLACE_TYPES.HOME]: 180, [PLACE_TYPES.WORK]: 0, [PLACE_TYPES.PUBLIC]: 90 })
+  }
+  const result = calculateEmissions(results, { location: { latitude: 44.97, longitude: -93.26 } })
+
+  assert.equal(result.regionId, 'us-mrow')
+  assert.equal(result.yearlyKwh, 3600)
+  assert.equal(result.ev.byLocation[PLACE_TYPES.HOME].kwh, 2400)
+  assert.ok(result.ev.byLocation[PLACE_TYPES.HOME].gramsPerKwh < result.ev.byLocation[PLACE_TYPES.PUBLIC].gramsPerKwh)
+  assert.equal(result.ev.byLocation[PLACE_TYPES.WORK].kg, 0)
+})
+
+test('follows the recommended home charging schedule unless hours are given', () => {
+  const results = {
+    monthlyMiles: 1000,
+    socSimulation: simulation({ [PLACE_TYPES.HOME]: 270 }),
+    chargingSchedule: { schedule: { weekday: { start: '17:00', end: '19:45', nights: 5 } } }
+  }
+  const scheduled = calculateEmissions(results, { region: UPPER_MIDWEST })
+  const overnight = calculateEmissions(results, {
+    region: UPPER_MIDWEST,
+    chargingHours: { [PLACE_TYPES.HOME]: { start: 22, end: 6 } }
+  })
+
+  const eveningIntensity = [17, 18, 19].reduce((sum, hour) => sum + gridIntensityAt(UPPER_MIDWEST, hour), 0) / 3
+  assert.equal(scheduled.gramsPerKwh, Math.round(eveningIntensity))
+  assert.ok(overnight.ev.yearlyKg < scheduled.ev.yearlyKg)
+})
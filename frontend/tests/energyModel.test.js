@@ -0,0 +1,99 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import {
+  TRIP_SOC_STATUS,
+  capacityDerateFactor,
+  estimateTripEnergy,
+  evaluateTripSoc,
+  resolveVehicleParameters,
+  scoreTrip
+} from '../src/utils/energyModel.js'
+
+const VEHICLE = { batteryRange: 300, batteryCapacity: 75, efficiency: 4, weightLbs: 4000, regenEfficiency: 70 }
+
+// duration in minutes for the given miles at a steady speed.
+const steadyTrip = (miles, mph, extra = {}) => ({ distance: miles, duration: (miles / mph) * 60, ...extra })
+
+const kwhPerMile = (trip, params, options) => estimateTripEnergy(trip, params, options).energyKwh / trip.distance
+
+test('resolves form values into model parameters', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+
+  assert.equal(params.ratedEfficiency, 4)
+  assert.equal(params.batteryCapacityKwh, 75)
+  assert.equal(params.regenEfficiency, 0.7)
+  assert.ok(params.motionScale > 0)
+
+  const fromRange = resolveVehicleParameters({ batteryRange: 300, batteryCapacity: 75 })
+  assert.equal(fromRange.ratedEfficiency, 4)
+})
+
+test('reproduces the rated efficiency on a mixed cycle at mild temperature', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+  const trip = {
+    distance: 100,
+    duration: (55 / 25 + 45 / 65) * 60,
+    speedProfile: { cityMiles: 55, highwayMiles: 45, cityAverageMph: 25, highwayAverageMph: 65, stops: 59.5 }
+  }
+
+  const { energyKwh } = estimateTripEnergy(trip, params, { ambientTemperatureF: 70 })
+  assert.ok(Math.abs(energyKwh - 100 / 4) / 25 < 0.1, `${energyKwh} kWh`)
+})
+
+test('costs more per mile at motorway speed and in the cold', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+
+  assert.ok(kwhPerMile(steadyTrip(50, 75), params) > kwhPerMile(steadyTrip(50, 55), params))
+  assert.ok(kwhPerMile(steadyTrip(20, 30), params, { ambientTemperatureF: 10 }) > kwhPerMile(steadyTrip(20, 30), params, { ambientTemperatureF: 65 }))
+})
+
+test('charges for climbing and regains part of it going down', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+  const flat = estimateTripEnergy(steadyTrip(20, 40), params).energyKwh
+  const climb = estimateTripEnergy(steadyTrip(20, 40, { elevationGainMeters: 500 }), params).energyKwh
+  const descent = estimateTripEnergy(steadyTrip(20, 40, { elevationLossMeters: 500 }), params).energyKwh
+
+  assert.ok(climb > flat)
+  assert.ok(descent < flat)
+  assert.ok(climb - flat > flat - descent)
+})
+
+test('uses the vehicle consumption curve when one is given', () => {
+  const params = resolveVehicleParameters({
+    ...VEHICLE,
+    auxiliaryKw: 0,
+    consumptionCurve: [{ speedMph: 70, whPerMile: 300 }, { speedMph: 30, whPerMile: 200 }]
+  })
+
+  assert.equal(params.motionScale, 1)
+  const { breakdown } = estimateTripEnergy(steadyTrip(10, 50, { speedProfile: { cityMiles: 0, highwayMiles: 10, cityAverageMph: 0, highwayAverageMph: 50, stops: 0 } }), params, { ambientTemperatureF: 70 })
+  assert.ok(Math.abs(breakdown.motionKwh - 2.5) < 1e-9)
+})
+
+test('derates usable capacity in the cold', () => {
+  assert.equal(capacityDerateFactor(70), 1)
+  assert.equal(capacityDerateFactor(-40), 0.75)
+  assert.ok(Math.abs(capacityDerateFactor(10) - 0.87) < 1e-9)
+})
+
+test('flags trips that dip below the reserve or exceed the pack', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+
+  assert.equal(evaluateTripSoc(30, params).status, TRIP_SOC_STATUS.OK)
+  assert.ok(Math.abs(evaluateTripSoc(30, params).arrivalSoc - 0.5) < 1e-9)
+  assert.equal(evaluateTripSoc(65, params).status, TRIP_SOC_STATUS.BELOW_RESERVE)
+  assert.equal(evaluateTripSoc(80, params).status, TRIP_SOC_STATUS.EXCEEDS_BATTERY)
+  assert.equal(evaluateTripSoc(70, params, { capacityFactor: 0.9 }).status, TRIP_SOC_STATUS.EXCEEDS_BATTERY)
+})
+
+test('a winter trip scores worse than the same trip in summer', () => {
+  const params = resolveVehicleParameters(VEHICLE)
+  const trip = steadyTrip(150, 65)
+  const summer = scoreTrip(trip, params, {}, 70)
+  const winter = scoreTrip(trip, params, {}, 0)
+
+  assert.equal(summer.status, TRIP_SOC_STATUS.OK)
+  assert.notEqual(winter.status, TRIP_SOC_STATUS.OK)
+  assert.ok(winter.arrivalSoc < summer.arrivalSoc)
+  assert.ok(winter.energyKwh > summer.energyKwh)
+})
@@ -0,0 +1,66 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { cleanLocationPoints } from '../src/utils/gpsCleaning.js'
+
+const START = Date.parse('2024-01-08T08:00:00Z')
+const MINUTE = 60 * 1000
+
+const fix = (minute, latitude, longitude, accuracy = 10) => ({
+  timestamp: new Date(START + minute * MINUTE),
+  latitude,
+  longitude,
+  accuracy
+})
+
+// A steady drive north at about 41 mph, one fix a minute.
+const drive = (fromMinute, count) => Array.from({ length: count }, (_, i) => fix(fromMinute + i, 44.97 + (fromMinute + i) * 0.01, -93.26))
+
+const removedBy = (report, id) => report.steps.find(step => step.id === id).removed
+
+test('drops fixes less accurate than the threshold', () => {
+  const points = [...drive(0, 3), fix(3, 45.0, -93.26, 500), ...drive(4, 2)]
+
+  const { report } = cleanLocationPoints(points)
+  assert.equal(removedBy(report, 'accuracy'), 1)
+
+  const lenient = cleanLocationPoints(points, { maxAccuracyMeters: 1000 })
+  assert.equal(removedBy(lenient.report, 'accuracy'), 0)
+})
+
+test('drops a teleport that jumps away and straight back', () => {
+  const points = drive(0, 6)
+  points.splice(3, 0, { ...fix(3, 46.5, -93.26), timestamp: new Date(START + 2.5 * MINUTE) })
+
+  const { points: cleaned, report } = cleanLocationPoints(points)
+  assert.equal(removedBy(report, 'speed'), 1)
+  assert.ok(cleaned.every(point => point.latitude < 46))
+})
+
+test('keeps a fast but consistent drive', () => {
+  const { report } = cleanLocationPoints(drive(0, 10))
+  assert.equal(removedBy(report, 'speed'), 0)
+  assert.equal(removedBy(report, 'stationary'), 0)
+})
+
+test('collapses jitter at a stop into its first and last fix at the centre', () => {
+  const jitter = Array.from({ length: 10 }, (_, i) => fix(i, 44.97 + (i % 2 ? 0.0002 : -0.0002), -93.26))
+  const { points, report } = cleanLocationPoints(jitter)
+
+  assert.equal(points.length, 2)
+  assert.equal(removedBy(report, 'stationary'), 8)
+  assert.equal(points[0].timestamp.getTime(), START)
+  assert.equal(points[1].timestamp.getTime(), START + 9 * MINUTE)
+  assert.ok(Math.abs(points[0].latitude - 44.97) < 1e-9)
+
+  // A stop shorter than the minimum stays as recorded.
+  assert.equal(cleanLocationPoints(jitter, { minStationaryMinutes: 15 }).points.length, 10)
+})
+
+test('reports the totals and sorts points by time', () => {
+  const points = drive(0, 4).reverse()
+  const { points: cleaned, report } = cleanLocationPoints(points)
+
+  assert.equal(report.inputPoints, 4)
+  assert.equal(report.outputPoints, cleaned.length)
+  assert.ok(cleaned.every((point, i) => i === 0 || cleaned[i - 1].timestamp <= point.timestamp))
+})
@@ -0,0 +1,72 @@
+import { before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DOMParser } from '@xmldom/xmldom'
+import { parseGpx } from '../src/utils/parsers/gpx.js'
+import { isGeoJson, parseGeoJson } from '../src/utils/parsers/geoJson.js'
+
+// The parsers run in the browser; Node has no DOMParser of its own.
+before(() => {
+  globalThis.DOMParser = DOMParser
+})
+
+const gpx = (trackPoints) => `<?xml version="1.0" encoding="UTF-8"?>
+<gpx version="1.1" creator="test" xmlns="http://www.topografix.com/GPX/1/1">
+  <trk><trkseg>${trackPoints}</trkseg></trk>
+</gpx>`
+
+test('reads timestamped GPX track points in time order', () => {
+  const points = parseGpx(gpx(`
+    <trkpt lat="45.05" lon="-93.10"><ele>250.5</ele><time>2024-01-08T08:25:00Z</time></trkpt>
+    <trkpt lat="44.97" lon="-93.26"><time>2024-01-08T08:00:00Z</time></trkpt>
+    <trkpt lat="45.00" lon="-93.20"></trkpt>
+  `))
+
+  assert.deepEqual(points.map(point => [point.latitude, point.longitude]), [[44.97, -93.26], [45.05, -93.1]])
+  assert.equal(points[0].altitude, null)
+  assert.equal(points[1].altitude, 250.5)
+  assert.equal(points[1].timestamp.toISOString(), '2024-01-08T08:25:00.000Z')
+})
+
+test('rejects GPX without timestamped points', () => {
+  assert.throws(() => parseGpx(gpx('<trkpt lat="45" lon="-93"></trkpt>')), /No timestamped track points/)
+})
+
+test('reads GeoJSON points and lines with their times', () => {
+  const data = {
+    type: 'FeatureCollection',
+    features: [
+      {
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [-93.26, 44.97] },
+        properties: { time: 1704700800, accuracy: 15 }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: [[-93.2, 45.0, 260], [-93.1, 45.05, 255]] },
+        properties: { coordTimes: ['2024-01-08T08:10:00Z', '2024-01-08T08:20:00Z'] }
+      },
+      {
+        type: 'Feature',
+        geometry: { type: 'MultiLineString', coordinates: [[[-93.0, 45.1, 0, 1704703200000]]] },
+        properties: {}
+      }
+    ]
+  }
+
+  assert.equal(isGeoJson(data), true)
+  const points = parseGeoJson(data)
+
+  assert.equal(points.length, 4)
+  assert.equal(points[0].timestamp.toISOString(), '2024-01-08T08:00:00.000Z')
+  assert.equal(points[0].accuracy, 15)
+  assert.deepEqual([points[1].latitude, points[1].longitude, points[1].altitude], [45, -93.2, 260])
+  assert.equal(points[3].timestamp.toISOString(), '2024-01-08T08:40:00.000Z')
+})
+
+test('rejects GeoJSON without any times', () => {
+  assert.equal(isGeoJson([{ type: 'Point' }]), false)
+  assert.throws(
+    () => parseGeoJson({ type: 'LineString', coordinates: [[-93.2, 45.0], [-93.1, 45.05]] }),
+    /No timestamped coordinates/
+  )
+})
@@ -0,0 +1,75 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createJsonLocationStream, parseJsonLocationData } from '../src/utils/parsers/json.js'
+
+const RECORDS = {
+  locations: Array.from({ length: 7 }, (_, i) => ({
+    latitudeE7: 449700000 + i * 1000,
+    longitudeE7: -932600000,
+    timestamp: new Date(Date.UTC(2024, 0, 8, 8, i)).toISOString(),
+    accuracy: 10,
+    activity: [{ activity: [{ type: 'STILL', confidence: 100 }] }]
+  }))
+}
+
+const TIMELINE = {
+  semanticSegments: [{
+    startTime: '2024-03-04T08:00:00.000Z',
+    endTime: '2024-03-04T08:40:00.000Z',
+    activity: {
+      start: { latLng: '52.37°, 4.89°' },
+      end: { latLng: '52.09°, 5.12°' },
+      topCandidate: { type: 'IN_PASSENGER_VEHICLE' }
+    }
+  }],
+  rawSignals: [
+    { position: { LatLng: '52.2°, 5.0°', timestamp: '2024-03-04T08:20:00.000Z' } },
+    { position: { LatLng: '52.09°, 5.12°', timestamp: '2024-03-04T09:30:00.000Z' } }
+  ]
+}
+
+// Feeds a document in small chunks so tokens, strings and escapes are split across writes.
+const streamChunks = (document, chunkSize, batchSize) => {
+  const batches = []
+  const stream = createJsonLocationStream(batch => batches.push(batch), batchSize)
+  const text = JSON.stringify(document)
+  for (let i = 0; i < text.length; i += chunkSize) {
+    stream.write(text.slice(i, i + chunkSize))
+  }
+  stream.end()
+  return batches
+}
+
+test('streams Records in batches that match parsing the whole file', () => {
+  const batches = streamChunks(RECORDS, 7, 3)
+
+  assert.deepEqual(batches.map(batch => batch.points.length), [3, 3, 1])
+  assert.deepEqual(batches.flatMap(batch => batch.points), parseJsonLocationData(RECORDS).points)
+})
+
+test('applies activity hints from earlier segment batches to streamed raw signals', () => {
+  const batches = streamChunks(TIMELINE, 5, 100)
+  const points = batches.flatMap(batch => batch.points)
+  const trips = batches.flatMap(batch => batch.trips)
+
+  assert.equal(trips.length, 1)
+  const duringDrive = points.find(point => point.timestamp.toISOString() === '2024-03-04T08:20:00.000Z')
+  const afterDrive = points.find(point => point.timestamp.toISOString() === '2024-03-04T09:30:00.000Z')
+  assert.equal(duringDrive.activityType, 'IN_PASSENGER_VEHICLE')
+  assert.equal(afterDrive.activityType, undefined)
+})
+
+test('keeps strings with brackets and escaped quotes inside one element', () => {
+  const batches = streamChunks([
+    { timestamp: '2024-01-08T08:00:00Z', latitude: 44.97, longitude: -93.26, note: 'a "[quoted]" {note}' },
+    { timestamp: '2024-01-08T08:01:00Z', lat: 44.98, lng: -93.25 }
+  ], 4, 100)
+
+  assert.deepEqual(batches[0].points.map(point => point.latitude), [44.97, 44.98])
+})
+
+test('rejects JSON with no location arrays', () => {
+  const stream = createJsonLocationStream(() => {})
+  stream.write('{"settings": {"enabled": true}}')
+  assert.throws(() => stream.end(), /Unrecognized JSON format/)
+})
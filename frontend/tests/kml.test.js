@@ -0,0 +1,73 @@
+import { before, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DOMParser } from '@xmldom/xmldom'
+import { parseKml } from '../src/utils/parsers/kml.js'
+
+// The parser runs in the browser; Node has no DOMParser of its own.
+before(() => {
+  globalThis.DOMParser = DOMParser
+})
+
+const kml = (body) => `<?xml version="1.0" encoding="UTF-8"?>
+<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">
+  <Document>${body}</Document>
+</kml>`
+
+test('pairs gx:Track whens with their coords', () => {
+  const points = parseKml(kml(`
+    <Placemark>
+      <gx:Track>
+        <when>2024-01-08T08:00:00Z</when>
+        <when>2024-01-08T08:05:00Z</when>
+        <when>not a time</when>
+        <gx:coord>-93.26 44.97 250</gx:coord>
+        <gx:coord>-93.20 45.00 0</gx:coord>
+        <gx:coord>-93.10 45.05 0</gx:coord>
+      </gx:Track>
+    </Placemark>
+  `))
+
+  assert.deepEqual(points.map(point => [point.latitude, point.longitude]), [[44.97, -93.26], [45, -93.2]])
+  assert.equal(points[0].altitude, 250)
+  assert.equal(points[1].timestamp.toISOString(), '2024-01-08T08:05:00.000Z')
+})
+
+test('timestamps placemarks with TimeStamp and spreads TimeSpan over a line', () => {
+  const points = parseKml(kml(`
+    <Placemark>
+      <TimeStamp><when>2024-01-08T07:00:00Z</when></TimeStamp>
+      <Point><coordinates>-93.26,44.97</coordinates></Point>
+    </Placemark>
+    <Placemark>
+      <TimeSpan><begin>2024-01-08T08:00:00Z</begin><end>2024-01-08T08:30:00Z</end></TimeSpan>
+      <LineString><coordinates>-93.26,44.97 -93.18,45.01 -93.10,45.05</coordinates></LineString>
+    </Placemark>
+  `))
+
+  assert.deepEqual(points.map(point => point.timestamp.toISOString()), [
+    '2024-01-08T07:00:00.000Z',
+    '2024-01-08T08:00:00.000Z',
+    '2024-01-08T08:15:00.000Z',
+    '2024-01-08T08:30:00.000Z'
+  ])
+})
+
+test('turns a single point with a TimeSpan into a stay at both ends', () => {
+  const points = parseKml(kml(`
+    <Placemark>
+      <TimeSpan><begin>2024-01-08T09:00:00Z</begin><end>2024-01-08T17:00:00Z</end></TimeSpan>
+      <Point><coordinates>-93.10,45.05</coordinates></Point>
+    </Placemark>
+  `))
+
+  assert.equal(points.length, 2)
+  assert.equal(points[1].timestamp - points[0].timestamp, 8 * 3600 * 1000)
+})
+
+test('explains why a KML without times cannot be used', () => {
+  assert.throws(
+    () => parseKml(kml('<Placemark><Point><coordinates>-93.26,44.97</coordinates></Point></Placemark>')),
+    /no TimeStamp, TimeSpan or gx:Track times/
+  )
+  assert.throws(() => parseKml(kml('<Folder><name>Empty</name></Folder>')), /No coordinate data/)
+})
@@ -0,0 +1,116 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mergeLocationSources, splitOutsideCoverage } from '../src/utils/mergeLocations.js'
+import { segmentTrips } from '../src/utils/tripSegmentation.js'
+import { parseTimelineObjects } from '../src/utils/parsers/semanticLocationHistory.js'
+
+const HOME = { latitude: 44.97, longitude: -93.26 }
+const WORK = { latitude: 45.05, longitude: -93.1 }
+const HOUR = 3600 * 1000
+const DAY = 24 * HOUR
+const FIRST_DAY = Date.parse('2024-01-08T00:00:00Z')
+
+const stay = (points, place, from, to) => {
+  for (let time = from; time <= to; time += 5 * 60 * 1000) {
+    points.push({ ...place, timestamp: new Date(time), accuracy: 10 })
+  }
+}
+
+const drive = (points, from, to, startTime, minutes) => {
+  for (let i = 1; i < minutes; i++) {
+    points.push({
+      latitude: from.latitude + (to.latitude - from.latitude) * i / minutes,
+      longitude: from.longitude + (to.longitude - from.longitude) * i / minutes,
+      timestamp: new Date(startTime + i * 60 * 1000),
+      accuracy: 10
+    })
+  }
+}
+
+// Three days of commuting recorded as raw Records points.
+const recordsPoints = () => {
+  const points = []
+  for (let day = 0; day < 3; day++) {
+    const start = FIRST_DAY + day * DAY
+    stay(points, HOME, start, start + 8 * HOUR)
+    drive(points, HOME, WORK, start + 8 * HOUR, 25)
+    stay(points, WORK, start + 8.5 * HOUR, start + 17 * HOUR)
+    drive(points, WORK, HOME, start + 17 * HOUR, 25)
+    stay(points, HOME, start + 17.5 * HOUR, start + DAY - 60 * 1000)
+  }
+  return points
+}
+
+const e7 = ({ latitude, longitude }) => ({
+  latitudeE7: Math.round(latitude * 1e7),
+  longitudeE7: Math.round(longitude * 1e7)
+})
+
+const segment = (from, to, startTime, endTime) => ({
+  activitySegment: {
+    startLocation: e7(from),
+    endLocation: e7(to),
+    duration: { startTimestamp: new Date(startTime).toISOString(), endTimestamp: new Date(endTime).toISOString() },
+    distance: 11000,
+    activityType: 'IN_PASSENGER_VEHICLE'
+  }
+})
+
+// The middle day exported again as Semantic Location History.
+const semanticDay = () => {
+  const start = FIRST_DAY + DAY
+  return parseTimelineObjects([
+    segment(HOME, WORK, start + 8 * HOUR, start + 8.5 * HOUR),
+    segment(WORK, HOME, start + 17 * HOUR, start + 17.5 * HOUR)
+  ])
+}
+
+const analyzeMerged = (merged) => {
+  const trips = [...merged.trips]
+  for (let run of splitOutsideCoverage(merged.points, merged.coverage)) {
+    trips.push(...segmentTrips(run).trips)
+  }
+  return trips.sort((a, b) => a.startTime - b.startTime)
+}
+
+test('records alone are segmented into every commute', () => {
+  const merged = mergeLocationSources([{ name: 'Records.json', points: recordsPoints(), trips: [] }])
+
+  assert.deepEqual(merged.coverage, [])
+  assert.equal(analyzeMerged(merged).length, 6)
+})
+
+test('semantic trips replace only the records trips in the time they cover', () => {
+  const semantic = semanticDay()
+  const merged = mergeLocationSources([
+    { name: 'Records.json', points: recordsPoints(), trips: [] },
+    { name: '2024_JANUARY.json', ...semantic }
+  ])
+
+  assert.equal(merged.coverage.length, 2)
+
+  const trips = analyzeMerged(merged)
+  assert.equal(trips.length, 6)
+  assert.equal(trips.filter(trip => trip.source === 'semantic').length, 2)
+
+  for (let trip of trips.filter(trip => trip.source !== 'semantic')) {
+    const overlapsCoverage = merged.coverage.some(range =>
+      trip.startTime < range.endTime && trip.endTime > range.startTime
+    )
+    assert.equal(overlapsCoverage, false)
+  }
+})
+
+test('reports dropped duplicates per file without touching the parsed points', () => {
+  const points = recordsPoints()
+  const copy = points.slice(0, 100).map(point => ({ ...point, timestamp: new Date(point.timestamp.getTime() + 5000) }))
+  const merged = mergeLocationSources([
+    { name: 'Records.json', points, trips: [] },
+    { name: 'phone.gpx', points: copy, trips: [] }
+  ])
+
+  assert.equal(merged.report.droppedPoints, 100)
+  assert.deepEqual(merged.report.sources.map(source => source.contributedPoints), [points.length, 0])
+  assert.equal(points[0].sourceFile, undefined)
+  assert.equal(merged.points[0].sourceFile, 'Records.json')
+})
@@ -0,0 +1,70 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { isOnDeviceTimeline, parseOnDeviceTimeline } from '../src/utils/parsers/onDeviceTimeline.js'
+
+const ANDROID_EXPORT = {
+  semanticSegments: [
+    {
+      startTime: '2024-03-04T07:00:00.000+01:00',
+      endTime: '2024-03-04T08:00:00.000+01:00',
+      visit: { topCandidate: { placeLocation: { latLng: '52.3700°, 4.8900°' } } }
+    },
+    {
+      startTime: '2024-03-04T08:00:00.000+01:00',
+      endTime: '2024-03-04T08:40:00.000+01:00',
+      activity: {
+        start: { latLng: '52.3700°, 4.8900°' },
+        end: { latLng: '52.0900°, 5.1200°' },
+        distanceMeters: 40233.6,
+        topCandidate: { type: 'in passenger vehicle' }
+      }
+    },
+    {
+      startTime: '2024-03-04T08:00:00.000+01:00',
+      endTime: '2024-03-04T10:00:00.000+01:00',
+      timelinePath: [
+        { point: '52.3000°, 4.9500°', durationMinutesOffsetFromStartTime: '10' },
+        { point: 'not a point', durationMinutesOffsetFromStartTime: '20' }
+      ]
+    }
+  ],
+  rawSignals: [
+    { position: { LatLng: '52.2000°, 5.0000°', timestamp: '2024-03-04T08:20:00.000+01:00', accuracyMeters: 8 } },
+    { position: { LatLng: '52.0900°, 5.1200°', timestamp: '2024-03-04T09:30:00.000+01:00', accuracyMeters: 12 } },
+    { wifiScan: { deliveryTime: '2024-03-04T09:31:00.000+01:00' } }
+  ]
+}
+
+test('recognises both the Android object export and the iOS segment array', () => {
+  assert.equal(isOnDeviceTimeline(ANDROID_EXPORT), true)
+  assert.equal(isOnDeviceTimeline([{ startTime: '2024-03-04T07:00:00Z', visit: {} }]), true)
+  assert.equal(isOnDeviceTimeline({ timelineObjects: [] }), false)
+})
+
+test('parses visits, activities, timeline paths and raw signals', () => {
+  const { points, trips } = parseOnDeviceTimeline(ANDROID_EXPORT)
+
+  assert.equal(trips.length, 1)
+  assert.equal(trips[0].source, 'timeline')
+  assert.equal(trips[0].activityType, 'IN_PASSENGER_VEHICLE')
+  assert.equal(trips[0].distance, 25)
+  assert.equal(trips[0].startTime.toISOString(), '2024-03-04T07:00:00.000Z')
+
+  // Visit start and end, activity start and end, one valid path point, two position signals.
+  assert.equal(points.length, 7)
+  assert.ok(points.every((point, i) => i === 0 || points[i - 1].timestamp <= point.timestamp))
+
+  const pathPoint = points.find(point => point.latitude === 52.3)
+  assert.equal(pathPoint.timestamp.toISOString(), '2024-03-04T07:10:00.000Z')
+
+  const rawDuringDrive = points.find(point => point.latitude === 52.2)
+  assert.equal(rawDuringDrive.accuracy, 8)
+  assert.equal(rawDuringDrive.activityType, 'IN_PASSENGER_VEHICLE')
+
+  const rawAfterDrive = points.find(point => point.accuracy === 12)
+  assert.equal(rawAfterDrive.activityType, undefined)
+})
+
+test('rejects a file without any locations', () => {
+  assert.throws(() => parseOnDeviceTimeline({ semanticSegments: [], rawSignals: [] }), /No location data/)
+})
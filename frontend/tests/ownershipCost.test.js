@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { calculateOwnershipCost } from '../src/utils/ownershipCost.js'
+import { PLACE_TYPES } from '../src/utils/places.js'
+
+const socSimulation = {
+  chargedKwh: { [PLACE_TYPES.HOME]: 90, [PLACE_TYPES.WORK]: 0, [PLACE_TYPES.PUBLIC]: 0 },
+  chargingSessions: { [PLACE_TYPES.HOME]: 10, [PLACE_TYPES.WORK]: 0, [PLACE_TYPES.PUBLIC]: 0 },
+  chargers: { [PLACE_TYPES.HOME]: { powerKw: 7.2 } },
+  months: 1
+}
+
+const results = { monthlyMiles: 1000, socSimulation }
+
+test('compares monthly running costs against a gas car', () => {
+  const cost = calculateOwnershipCost(results)
+
+  // 90 kWh into the pack is 100 kWh from the grid at the default 16 cents.
+  assert.deepEqual(cost.monthly.ev, { energy: 16, maintenance: 60, total: 76 })
+  assert.deepEqual(cost.monthly.gas, { energy: 125, maintenance: 100, total: 225 })
+  assert.equal(cost.monthly.savings, 149)
+  assert.equal(cost.electricityByType[PLACE_TYPES.HOME], 16)
+})
+
+test('pays back the upfront cost from monthly savings', () => {
+  const cost = calculateOwnershipCost(results)
+
+  assert.equal(cost.upfrontCost, 22500)
+  assert.equal(cost.breakEvenMonths, Math.ceil(22500 / 149))
+  assert.equal(cost.yearly.length, 8)
+  assert.deepEqual(cost.yearly[0], { year: 1, evCost: 23412, gasCost: 2700, savings: -20712 })
+})
+
+test('breaks even immediately when incentives and trade-in cover the car', () => {
+  const cost = calculateOwnershipCost(results, {}, { evPurchasePrice: 20000, incentives: 7500, currentVehicleValue: 15000 })
+
+  assert.equal(cost.upfrontCost, 0)
+  assert.equal(cost.breakEvenMonths, 0)
+})
+
+test('never breaks even without monthly savings', () => {
+  const expensive = calculateOwnershipCost(results, { [PLACE_TYPES.HOME]: 3 })
+  assert.ok(expensive.monthly.savings < 0)
+  assert.equal(expensive.breakEvenMonths, null)
+
+  const free = calculateOwnershipCost(results, { [PLACE_TYPES.HOME]: 3 }, { evPurchasePrice: 0 })
+  assert.equal(free.upfrontCost, 0)
+  assert.equal(free.breakEvenMonths, null)
+})
+
+test('bills public per-minute and session fees', () => {
+  const publicSimulation = {
+    chargedKwh: { [PLACE_TYPES.PUBLIC]: 45 },
+    chargingSessions: { [PLACE_TYPES.PUBLIC]: 2 },
+    chargers: { [PLACE_TYPES.PUBLIC]: { powerKw: 50 } },
+    months: 1
+  }
+  const cost = calculateOwnershipCost(
+    { monthlyMiles: 0, socSimulation: publicSimulation },
+    { [PLACE_TYPES.PUBLIC]: { perKwh: 0.4, perMinute: 0.1, sessionFee: 1 } }
+  )
+
+  // 50 kWh from the grid: 20 for energy, 60 minutes at 50 kW, and two session fees.
+  assert.equal(cost.electricityByType[PLACE_TYPES.PUBLIC], 28)
+})
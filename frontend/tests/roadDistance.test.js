@@ -0,0 +1,61 @@
+import { afterEach, mock, test } from 'node:test'
+import assert from 'node:assert/strict'
+import { DISTANCE_METHODS, estimatePathDistance, matchTripDistances, pointsDuringTrip } from '../src/utils/roadDistance.js'
+import { calculateDistance } from '../src/utils/distance.js'
+import { mapMatchingService } from '../src/services/mapMatchingService.js'
+
+const START = Date.parse('2024-01-08T08:00:00Z')
+
+const point = (seconds, latitude, longitude = -93.26) => ({ timestamp: new Date(START + seconds * 1000), latitude, longitude })
+
+const straightMiles = (points) => points.slice(1).reduce((sum, current, i) =>
+  sum + calculateDistance(points[i].latitude, points[i].longitude, current.latitude, current.longitude), 0)
+
+afterEach(() => mock.restoreAll())
+
+test('counts short hops between samples as they are', () => {
+  const points = [point(0, 44.97), point(10, 44.971), point(20, 44.972)]
+  const { distance, method } = estimatePathDistance(points)
+
+  assert.equal(method, DISTANCE_METHODS.STRAIGHT_LINE)
+  assert.ok(Math.abs(distance - straightMiles(points)) < 1e-9)
+})
+
+test('scales the detour factor with the time between samples', () => {
+  const dense = [point(0, 44.97), point(60, 44.985)]
+  const between = [point(0, 44.97), point(330, 44.985)]
+  const sparse = [point(0, 44.97), point(900, 44.985)]
+  const miles = straightMiles(dense)
+
+  assert.equal(estimatePathDistance(dense).method, DISTANCE_METHODS.DETOUR_FACTOR)
+  assert.ok(Math.abs(estimatePathDistance(dense).distance - miles * 1.05) < 1e-9)
+  assert.ok(Math.abs(estimatePathDistance(between).distance - miles * 1.175) < 1e-9)
+  assert.ok(Math.abs(estimatePathDistance(sparse).distance - miles * 1.3) < 1e-9)
+  assert.ok(Math.abs(estimatePathDistance(sparse, { detourFactor: 1.5 }).distance - miles * 1.5) < 1e-9)
+})
+
+test('finds the points recorded during a trip, including both ends', () => {
+  const points = [point(0, 44.97), point(60, 44.98), point(120, 44.99), point(180, 45)]
+  const trip = { startTime: new Date(START + 60 * 1000), endTime: new Date(START + 120 * 1000) }
+
+  assert.deepEqual(pointsDuringTrip(points, trip), points.slice(1, 3))
+})
+
+test('uses map-matched distances and keeps the estimate when matching fails', async () => {
+  const points = [point(0, 44.97), point(60, 44.98), point(120, 44.99), point(600, 45.2), point(660, 45.21)]
+  const trips = [
+    { id: 'matched', startTime: points[0].timestamp, endTime: points[2].timestamp, distance: 1.5, distanceMethod: DISTANCE_METHODS.DETOUR_FACTOR },
+    { id: 'failed', startTime: points[3].timestamp, endTime: points[4].timestamp, distance: 0.8, distanceMethod: DISTANCE_METHODS.STRAIGHT_LINE }
+  ]
+  const matchDistance = mock.method(mapMatchingService, 'matchDistance', async (trace) => {
+    if (trace.length === 2) throw new Error('routing engine unavailable')
+    return 1.734
+  })
+
+  const { trips: matched, report } = await matchTripDistances(trips, points, { baseUrl: 'http://localhost:5000' })
+
+  assert.equal(matchDistance.mock.callCount(), 2)
+  assert.deepEqual([matched[0].distance, matched[0].distanceMethod], [1.73, DISTANCE_METHODS.MAP_MATCHED])
+  assert.deepEqual(matched[1], trips[1])
+  assert.deepEqual(report, { matched: 1, failed: 1, lastError: 'routing engine unavailable' })
+})
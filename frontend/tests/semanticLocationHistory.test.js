@@ -0,0 +1,78 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { isSemanticLocationHistory, parseSemanticLocationHistory } from '../src/utils/parsers/semanticLocationHistory.js'
+import { DISTANCE_METHODS } from '../src/utils/roadDistance.js'
+
+const HOME = { latitudeE7: 449700000, longitudeE7: -932600000 }
+const WORK = { latitudeE7: 450500000, longitudeE7: -931000000 }
+
+const placeVisit = (location, start, end) => ({
+  placeVisit: {
+    location,
+    duration: { startTimestamp: start, endTimestamp: end }
+  }
+})
+
+test('turns activity segments into trips with their reported distance', () => {
+  const data = {
+    timelineObjects: [
+      placeVisit(HOME, '2024-01-08T06:00:00Z', '2024-01-08T08:00:00Z'),
+      {
+        activitySegment: {
+          startLocation: HOME,
+          endLocation: WORK,
+          duration: { startTimestamp: '2024-01-08T08:00:00Z', endTimestamp: '2024-01-08T08:30:00Z' },
+          distance: 16093,
+          activityType: 'IN_PASSENGER_VEHICLE',
+          waypointPath: { waypoints: [{ latE7: 450000000, lngE7: -932000000 }] }
+        }
+      }
+    ]
+  }
+
+  assert.equal(isSemanticLocationHistory(data), true)
+  const { points, trips } = parseSemanticLocationHistory(data)
+
+  assert.equal(trips.length, 1)
+  assert.equal(trips[0].distance, 10)
+  assert.equal(trips[0].distanceMethod, DISTANCE_METHODS.REPORTED)
+  assert.equal(trips[0].activityType, 'IN_PASSENGER_VEHICLE')
+  assert.equal(trips[0].duration, 30)
+  assert.equal(trips[0].source, 'semantic')
+  assert.deepEqual(trips[0].startLocation, { lat: 44.97, lng: -93.26 })
+
+  // Two visit points, the segment's start and end, and its single waypoint, timed at the start.
+  assert.equal(points.length, 5)
+  const waypoint = points.find(point => point.latitude === 45)
+  assert.equal(waypoint.timestamp.toISOString(), '2024-01-08T08:00:00.000Z')
+})
+
+test('reads millisecond timestamps and raw paths from older exports', () => {
+  const start = Date.parse('2019-05-01T12:00:00Z')
+  const { points, trips } = parseSemanticLocationHistory({
+    timelineObjects: [{
+      activitySegment: {
+        startLocation: HOME,
+        endLocation: WORK,
+        duration: { startTimestampMs: String(start), endTimestampMs: String(start + 20 * 60 * 1000) },
+        activities: [{ activityType: 'IN_BUS' }],
+        simplifiedRawPath: { points: [{ latE7: 450100000, lngE7: -931800000, timestampMs: String(start + 10 * 60 * 1000) }] }
+      }
+    }]
+  })
+
+  assert.equal(trips[0].activityType, 'IN_BUS')
+  assert.notEqual(trips[0].distanceMethod, DISTANCE_METHODS.REPORTED)
+  assert.ok(trips[0].distance > 0)
+  assert.deepEqual(points.map(point => point.timestamp.getTime()), [start, start + 10 * 60 * 1000, start + 20 * 60 * 1000])
+})
+
+test('skips segments without times or coordinates and rejects files with nothing usable', () => {
+  assert.equal(isSemanticLocationHistory({ locations: [] }), false)
+  assert.throws(
+    () => parseSemanticLocationHistory({
+      timelineObjects: [{ activitySegment: { startLocation: HOME, endLocation: WORK, duration: {} } }]
+    }),
+    /No activity segments or place visits/
+  )
+})
@@ -0,0 +1,89 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { simulateStateOfCharge } from '../src/utils/socSimulation.js'
+import { PLACE_TYPES } from '../src/utils/places.js'
+
+const HOME = { lat: 44.97, lng: -93.26 }
+const WORK = { lat: 44.98, lng: -93.1 }
+const PLACES = [
+  { type: PLACE_TYPES.HOME, latitude: HOME.lat, longitude: HOME.lng },
+  { type: PLACE_TYPES.WORK, latitude: WORK.lat, longitude: WORK.lng }
+]
+const PARAMS = { batteryCapacityKwh: 75 }
+const SETTINGS = { departureSoc: 0.9, reserveSoc: 0.1 }
+
+const HOUR = 60 * 60 * 1000
+const start = new Date(2024, 2, 4, 8, 0).getTime()
+
+// A weekday commute: out at 8:00, back at 17:00, each leg using energyKwh.
+const commute = (days, energyKwh) => {
+  const trips = []
+  for (let day = 0; day < days; day++) {
+    const morning = start + day * 24 * HOUR
+    trips.push(
+      { id: `${day}-out`, startTime: morning, endTime: morning + HOUR, startLocation: HOME, endLocation: WORK, distance: 30, energyKwh },
+      { id: `${day}-back`, startTime: morning + 9 * HOUR, endTime: morning + 10 * HOUR, startLocation: WORK, endLocation: HOME, distance: 30, energyKwh }
+    )
+  }
+  return trips
+}
+
+test('home and workplace charging keep a commuter above the reserve', () => {
+  const result = simulateStateOfCharge(commute(5, 10), PARAMS, PLACES, SETTINGS)
+
+  assert.equal(result.reserveViolations, 0)
+  assert.equal(result.publicDetours, 0)
+  assert.equal(result.chargingSessions[PLACE_TYPES.HOME], 4)
+  assert.equal(result.chargingSessions[PLACE_TYPES.WORK], 5)
+  assert.equal(result.chargedKwh[PLACE_TYPES.HOME], 40)
+  assert.equal(result.minSoc, Math.round((0.9 - 10 / 75) * 100))
+})
+
+test('sorts trips before simulating them', () => {
+  const trips = commute(3, 10)
+  const inOrder = simulateStateOfCharge(trips, PARAMS, PLACES, SETTINGS)
+  const shuffled = simulateStateOfCharge([...trips].reverse(), PARAMS, PLACES, SETTINGS)
+
+  assert.deepEqual(shuffled, inOrder)
+})
+
+test('detours to a fast charger once nothing else is available', () => {
+  const options = {
+    ...SETTINGS,
+    chargers: { [PLACE_TYPES.HOME]: { powerKw: 0 }, [PLACE_TYPES.WORK]: { powerKw: 0 } }
+  }
+  const result = simulateStateOfCharge(commute(5, 10), PARAMS, PLACES, options)
+
+  assert.ok(result.publicDetours > 0)
+  assert.equal(result.chargingSessions[PLACE_TYPES.HOME], 0)
+  assert.equal(result.chargingSessions[PLACE_TYPES.PUBLIC], result.publicDetours)
+  assert.equal(result.reserveViolations, 0)
+  assert.ok(result.minSoc >= 10)
+})
+
+test('records a stranded trip and rescues the car to the reserve', () => {
+  const options = {
+    ...SETTINGS,
+    chargers: { [PLACE_TYPES.PUBLIC]: { powerKw: 0 } }
+  }
+  const trips = [
+    { id: 'long', startTime: start, endTime: start + 5 * HOUR, startLocation: HOME, endLocation: WORK, distance: 400, energyKwh: 90 }
+  ]
+  const result = simulateStateOfCharge(trips, PARAMS, PLACES, options)
+
+  assert.equal(result.strandedTrips, 1)
+  assert.equal(result.reserveViolations, 1)
+  assert.equal(result.violations[0].tripId, 'long')
+  assert.equal(result.violations[0].departureSoc, 90)
+  assert.ok(result.violations[0].stranded)
+  assert.equal(result.finalSoc, 10)
+})
+
+test('shrinks usable capacity for cold trips', () => {
+  const trip = { id: 'cold', startTime: start, endTime: start + HOUR, startLocation: HOME, endLocation: WORK, distance: 40, energyKwh: 15 }
+  const mild = simulateStateOfCharge([trip], PARAMS, PLACES, SETTINGS)
+  const cold = simulateStateOfCharge([{ ...trip, temperatureF: -10 }], PARAMS, PLACES, SETTINGS)
+
+  assert.equal(mild.finalSoc, 70)
+  assert.ok(cold.finalSoc < mild.finalSoc)
+})
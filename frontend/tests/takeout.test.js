@@ -0,0 +1,27 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { classifyTakeoutEntry } from '../src/utils/takeout.js'
+
+const kindOf = (path) => {
+  const classification = classifyTakeoutEntry(path)
+  return classification && classification.kind
+}
+
+test('finds Records and Timeline exports anywhere in the archive', () => {
+  assert.equal(kindOf('Takeout/Location History/Records.json'), 'records')
+  assert.equal(kindOf('Timeline.json'), 'timeline')
+})
+
+test('finds semantic month files whatever language the month is named in', () => {
+  const base = 'Takeout/Location History/Semantic Location History/2023'
+  assert.equal(kindOf(`${base}/2023_DECEMBER.json`), 'semantic')
+  assert.equal(kindOf(`${base}/2023_DÉCEMBRE.json`), 'semantic')
+  assert.equal(kindOf(`${base}/2023_ДЕКАБРЬ.json`), 'semantic')
+  assert.equal(kindOf(`${base}/2023_März.json`), 'semantic')
+})
+
+test('ignores other files in the export', () => {
+  assert.equal(kindOf('Takeout/Location History/Settings.json'), null)
+  assert.equal(kindOf('Takeout/Location History/Semantic Location History/2023/2023_12.json'), null)
+  assert.equal(kindOf('Takeout/archive_browser.html'), null)
+})
@@ -0,0 +1,51 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { MODE_SOURCES, TRANSPORT_MODES, classifyTrip, classifyTrips, summarizeModes } from '../src/utils/transportMode.js'
+
+// duration is in minutes, so distance / duration * 60 is the average speed.
+const trip = (id, distance, duration, extra = {}) => ({ id, distance, duration, ...extra })
+
+test('trusts the activity recognised by the phone', () => {
+  assert.deepEqual(classifyTrip(trip('a', 20, 30, { activityType: 'IN_TRAIN' })), { mode: TRANSPORT_MODES.RAIL, modeSource: MODE_SOURCES.ACTIVITY })
+  assert.equal(classifyTrip(trip('b', 1, 10, { activityType: 'IN_PASSENGER_VEHICLE' })).mode, TRANSPORT_MODES.DRIVING)
+})
+
+test('falls back to speed when there is no activity', () => {
+  assert.equal(classifyTrip(trip('walk', 1, 20, { maxSpeedMph: 4 })).mode, TRANSPORT_MODES.WALKING)
+  assert.equal(classifyTrip(trip('bike', 4, 20, { maxSpeedMph: 18 })).mode, TRANSPORT_MODES.CYCLING)
+  assert.equal(classifyTrip(trip('car', 30, 40, { maxSpeedMph: 70 })).mode, TRANSPORT_MODES.DRIVING)
+  assert.equal(classifyTrip(trip('train', 120, 60)).mode, TRANSPORT_MODES.RAIL)
+  assert.deepEqual(classifyTrip(trip('plane', 900, 150)), { mode: TRANSPORT_MODES.FLIGHT, modeSource: MODE_SOURCES.SPEED })
+})
+
+test('a walking-speed average with a driving-speed peak is a drive in traffic', () => {
+  assert.equal(classifyTrip(trip('jam', 1, 20, { maxSpeedMph: 35 })).mode, TRANSPORT_MODES.DRIVING)
+})
+
+test('an airliner speed overrides a driving activity', () => {
+  assert.equal(classifyTrip(trip('mislabelled', 900, 150, { activityType: 'IN_VEHICLE' })).mode, TRANSPORT_MODES.FLIGHT)
+})
+
+test('honours thresholds passed in and user overrides', () => {
+  assert.equal(classifyTrip(trip('fast-bike', 6, 20, { maxSpeedMph: 22 }), { maxCyclingMph: 20 }).mode, TRANSPORT_MODES.CYCLING)
+
+  const [overridden, classified] = classifyTrips(
+    [trip('a', 900, 150), trip('b', 30, 40)],
+    { overrides: { a: TRANSPORT_MODES.DRIVING } }
+  )
+  assert.deepEqual([overridden.mode, overridden.modeSource], [TRANSPORT_MODES.DRIVING, MODE_SOURCES.USER])
+  assert.equal(classified.modeSource, MODE_SOURCES.SPEED)
+})
+
+test('summarises trips and miles per mode', () => {
+  const summary = summarizeModes([
+    { mode: TRANSPORT_MODES.DRIVING, distance: 10.04 },
+    { mode: TRANSPORT_MODES.DRIVING, distance: 5.03 },
+    { mode: TRANSPORT_MODES.FLIGHT, distance: 900 }
+  ])
+
+  assert.deepEqual(summary, {
+    driving: { trips: 2, distance: 15.1 },
+    flight: { trips: 1, distance: 900 }
+  })
+})
@@ -0,0 +1,89 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { attachStays, detectStayPoints, segmentTrips } from '../src/utils/tripSegmentation.js'
+
+const HOME = { latitude: 44.97, longitude: -93.26 }
+const SHOP = { latitude: 45.01, longitude: -93.18 }
+const WORK = { latitude: 45.05, longitude: -93.1 }
+const START = Date.parse('2024-01-08T07:00:00Z')
+const MINUTE = 60 * 1000
+
+// Builds a trace sampled once a minute from [place, minutes] stays and [to, minutes] drives.
+const trace = (first, legs) => {
+  const points = []
+  let at = first
+  let time = START
+
+  const push = (latitude, longitude) => {
+    points.push({ latitude, longitude, timestamp: new Date(time), accuracy: 10 })
+    time += MINUTE
+  }
+
+  for (let [kind, place, minutes] of legs) {
+    for (let i = 0; i < minutes; i++) {
+      if (kind === 'stay') {
+        push(at.latitude, at.longitude)
+      } else {
+        const ratio = i / minutes
+        push(at.latitude + (place.latitude - at.latitude) * ratio, at.longitude + (place.longitude - at.longitude) * ratio)
+      }
+    }
+    if (kind === 'drive') at = place
+  }
+  push(at.latitude, at.longitude)
+  return points
+}
+
+test('a stop at a shop splits the drive and links both trips to the stay', () => {
+  const points = trace(HOME, [['stay', HOME, 30], ['drive', SHOP, 12], ['stay', SHOP, 15], ['drive', WORK, 12], ['stay', WORK, 30]])
+  const { trips, stays } = segmentTrips(points)
+
+  assert.equal(stays.length, 3)
+  assert.equal(trips.length, 2)
+  assert.deepEqual(trips[0].destinationStay, trips[1].originStay)
+  assert.ok(Math.abs(trips[0].destinationStay.latitude - SHOP.latitude) < 0.001)
+  assert.equal(trips[0].originStay.arrivalTime.getTime(), START)
+})
+
+test('a short halt in traffic stays inside one trip', () => {
+  const points = trace(HOME, [['stay', HOME, 30], ['drive', SHOP, 12], ['stay', SHOP, 5], ['drive', WORK, 12], ['stay', WORK, 30]])
+
+  assert.equal(segmentTrips(points).trips.length, 1)
+  assert.equal(segmentTrips(points, { minDwellMinutes: 4 }).trips.length, 2)
+})
+
+test('a long gap in the recording splits a drive without stays', () => {
+  const points = trace(HOME, [['drive', WORK, 30]])
+  const shifted = points.map((point, i) => i >= 15 ? { ...point, timestamp: new Date(point.timestamp.getTime() + 3 * 60 * MINUTE) } : point)
+
+  assert.equal(segmentTrips(shifted).trips.length, 2)
+  assert.equal(segmentTrips(shifted, { maxGapMinutes: 240 }).trips.length, 1)
+})
+
+test('drops hops shorter than the minimum trip distance', () => {
+  const NEIGHBOUR = { latitude: 44.976, longitude: -93.26 }
+  const points = trace(HOME, [['stay', HOME, 30], ['drive', NEIGHBOUR, 3], ['stay', NEIGHBOUR, 30]])
+
+  assert.equal(segmentTrips(points, { dwellRadiusMeters: 100 }).trips.length, 1)
+  assert.equal(segmentTrips(points, { dwellRadiusMeters: 100, minTripMiles: 0.5 }).trips.length, 0)
+})
+
+test('finds stay points by dwell radius and time', () => {
+  const points = trace(HOME, [['stay', HOME, 20], ['drive', WORK, 10], ['stay', WORK, 8]])
+
+  assert.equal(detectStayPoints(points).length, 1)
+  assert.equal(detectStayPoints(points, { minDwellMinutes: 5 }).length, 2)
+})
+
+test('attaches stays to pre-segmented trips that start and end near them', () => {
+  const stays = [
+    { id: 'home', departureTime: new Date(START), arrivalTime: new Date(START - 8 * 60 * MINUTE) },
+    { id: 'work', arrivalTime: new Date(START + 50 * MINUTE), departureTime: new Date(START + 9 * 60 * MINUTE) }
+  ]
+  const [trip] = attachStays([{ startTime: new Date(START + 10 * MINUTE), endTime: new Date(START + 40 * MINUTE) }], stays)
+
+  assert.equal(trip.originStay.id, 'home')
+  assert.equal(trip.destinationStay.id, 'work')
+  assert.equal(attachStays([trip], [], { stayMatchMinutes: 5 })[0].originStay.id, 'home')
+  assert.equal(attachStays([{ ...trip, originStay: undefined }], stays, { stayMatchMinutes: 5 })[0].originStay, null)
+})
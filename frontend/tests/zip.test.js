@@ -0,0 +1,100 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { deflateRawSync } from 'node:zlib'
+import { listZipEntries, openZipEntryStream } from '../src/utils/zip.js'
+
+const MAX_32 = 0xffffffff
+
+// Writes a minimal archive. With zip64 every size and offset lives in the ZIP64 extra field and
+// end records, the way archivers write Takeout exports over 4 GB.
+const buildZip = (files, { zip64 = false } = {}) => {
+  const locals = []
+  const centrals = []
+  let offset = 0
+
+  for (let { name, text, deflate = false } of files) {
+    const nameBytes = Buffer.from(name)
+    const raw = Buffer.from(text)
+    const data = deflate ? deflateRawSync(raw) : raw
+
+    const local = Buffer.alloc(30)
+    local.writeUInt32LE(0x04034b50, 0)
+    local.writeUInt16LE(deflate ? 8 : 0, 8)
+    local.writeUInt32LE(data.length, 18)
+    local.writeUInt32LE(raw.length, 22)
+    local.writeUInt16LE(nameBytes.length, 26)
+    locals.push(local, nameBytes, data)
+
+    const extra = zip64 ? Buffer.alloc(28) : Buffer.alloc(0)
+    if (zip64) {
+      extra.writeUInt16LE(0x0001, 0)
+      extra.writeUInt16LE(24, 2)
+      extra.writeBigUInt64LE(BigInt(raw.length), 4)
+      extra.writeBigUInt64LE(BigInt(data.length), 12)
+      extra.writeBigUInt64LE(BigInt(offset), 20)
+    }
+
+    const central = Buffer.alloc(46)
+    central.writeUInt32LE(0x02014b50, 0)
+    central.writeUInt16LE(deflate ? 8 : 0, 10)
+    central.writeUInt32LE(zip64 ? MAX_32 : data.length, 20)
+    central.writeUInt32LE(zip64 ? MAX_32 : raw.length, 24)
+    central.writeUInt16LE(nameBytes.length, 28)
+    central.writeUInt16LE(extra.length, 30)
+    central.writeUInt32LE(zip64 ? MAX_32 : offset, 42)
+    centrals.push(central, nameBytes, extra)
+
+    offset += local.length + nameBytes.length + data.length
+  }
+
+  const directory = Buffer.concat(centrals)
+  const trailer = []
+
+  if (zip64) {
+    const end64 = Buffer.alloc(56)
+    end64.writeUInt32LE(0x06064b50, 0)
+    end64.writeBigUInt64LE(44n, 4)
+    end64.writeBigUInt64LE(BigInt(files.length), 24)
+    end64.writeBigUInt64LE(BigInt(files.length), 32)
+    end64.writeBigUInt64LE(BigInt(directory.length), 40)
+    end64.writeBigUInt64LE(BigInt(offset), 48)
+
+    const locator = Buffer.alloc(20)
+    locator.writeUInt32LE(0x07064b50, 0)
+    locator.writeBigUInt64LE(BigInt(offset + directory.length), 8)
+    locator.writeUInt32LE(1, 16)
+    trailer.push(end64, locator)
+  }
+
+  const end = Buffer.alloc(22)
+  end.writeUInt32LE(0x06054b50, 0)
+  end.writeUInt16LE(zip64 ? 0xffff : files.length, 10)
+  end.writeUInt32LE(zip64 ? MAX_32 : directory.length, 12)
+  end.writeUInt32LE(zip64 ? MAX_32 : offset, 16)
+  trailer.push(end)
+
+  return new File([Buffer.concat([...locals, directory, ...trailer])], 'takeout.zip')
+}
+
+const FILES = [
+  { name: 'Takeout/Location History/Records.json', text: '{"locations":[]}', deflate: true },
+  { name: 'Takeout/Location History/Semantic Location History/2023/2023_DÉCEMBRE.json', text: '{"timelineObjects":[]}' }
+]
+
+const readEntry = async (file, entry) => new Response(await openZipEntryStream(file, entry)).text()
+
+for (let zip64 of [false, true]) {
+  test(`lists and reads stored and deflated entries${zip64 ? ' from a ZIP64 archive' : ''}`, async () => {
+    const file = buildZip(FILES, { zip64 })
+    const entries = await listZipEntries(file)
+
+    assert.deepEqual(entries.map(entry => entry.name), FILES.map(entry => entry.name))
+    assert.equal(entries[0].uncompressedSize, FILES[0].text.length)
+    assert.equal(await readEntry(file, entries[0]), FILES[0].text)
+    assert.equal(await readEntry(file, entries[1]), FILES[1].text)
+  })
+}
+
+test('rejects files that are not zip archives', async () => {
+  await assert.rejects(listZipEntries(new File(['just text'], 'notes.zip')), /not a valid zip archive/)
+})